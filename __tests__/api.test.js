@@ -801,6 +801,24 @@ describe('PowerShadesApi - Authentication and Backoff', () => {
       assert.ok(url.includes('/scenes/'));
     });
 
+    test('activateScene should explain a missing activation endpoint', async () => {
+      const api = new PowerShadesApi({
+        apiToken: 'test_token',
+        logger: mockLogger,
+      });
+
+      mockFetch({
+        ok: false,
+        status: 405,
+        text: async () => '{"detail":"Method \\"POST\\" not allowed."}',
+      });
+
+      await assert.rejects(
+        api.activateScene(5),
+        /API error 405 on \/scenes\/5\/activate\/: .*\(Scene activation uses an unverified PowerShades endpoint/
+      );
+    });
+
     test('getSchedules should call correct endpoint', async () => {
       const api = new PowerShadesApi({
         apiToken: 'test_token',
@@ -820,6 +838,63 @@ describe('PowerShadesApi - Authentication and Backoff', () => {
       assert.ok(url.includes('/schedules/'));
     });
 
+    test('setScheduleEnabled should patch the schedule', async () => {
+      const api = new PowerShadesApi({
+        apiToken: 'test_token',
+        logger: mockLogger,
+      });
+
+      mockFetch({
+        ok: true,
+        status: 200,
+        json: async () => ({ id: 7, enabled: false }),
+      });
+
+      await api.setScheduleEnabled(7, false);
+
+      assert.strictEqual(fetchCalls.length, 1);
+      const [url, options] = fetchCalls[0];
+      assert.ok(url.includes('/schedules/7/'));
+      assert.strictEqual(options.method, 'PATCH');
+      assert.deepStrictEqual(JSON.parse(options.body), { enabled: false });
+    });
+
+    test('setScheduleEnabled should fail when the schedule does not report the change', async () => {
+      const api = new PowerShadesApi({
+        apiToken: 'test_token',
+        logger: mockLogger,
+      });
+
+      // A field the API does not know is ignored, and the schedule comes back unchanged.
+      mockFetch({
+        ok: true,
+        status: 200,
+        json: async () => ({ id: 7, name: 'Close at Night', is_active: true }),
+      });
+
+      await assert.rejects(api.setScheduleEnabled(7, false), (err) => {
+        assert.ok(err instanceof PowerShadesApiError);
+        assert.match(err.message, /did not report enabled=false/);
+        assert.match(err.message, /test_schedule_update\.js/);
+        return true;
+      });
+    });
+
+    test('updateSchedule should flag a rejected endpoint as unverified', async () => {
+      const api = new PowerShadesApi({
+        apiToken: 'test_token',
+        logger: mockLogger,
+      });
+
+      mockFetch({
+        ok: false,
+        status: 405,
+        text: async () => '{"detail":"Method \\"PATCH\\" not allowed."}',
+      });
+
+      await assert.rejects(api.setScheduleEnabled(7, false), /API error 405 .*unverified PowerShades endpoint/);
+    });
+
     test('getShadeAttributes should call correct endpoint', async () => {
       const api = new PowerShadesApi({
         apiToken: 'test_token',
@@ -1006,4 +1081,45 @@ describe('PowerShadesApi - Authentication and Backoff', () => {
       assert.ok(moveOptions.headers.Authorization);
     });
   });
+
+  describe('Scene API Methods', () => {
+    test('activateScene should post to the scene activation endpoint', async () => {
+      const api = new PowerShadesApi({
+        apiToken: 'test_token',
+        logger: mockLogger,
+      });
+
+      mockFetch({
+        ok: true,
+        status: 204,
+      });
+
+      const result = await api.activateScene(42);
+
+      assert.strictEqual(result, null);
+      assert.strictEqual(fetchCalls.length, 1);
+      const [url, options] = fetchCalls[0];
+      assert.ok(url.includes('/scenes/42/activate/'));
+      assert.strictEqual(options.method, 'POST');
+      assert.strictEqual(options.body, undefined);
+    });
+
+    test('activateScene should handle API errors', async () => {
+      const api = new PowerShadesApi({
+        apiToken: 'test_token',
+        logger: mockLogger,
+      });
+
+      mockFetch({
+        ok: false,
+        status: 404,
+        text: async () => 'Scene not found',
+      });
+
+      await assert.rejects(
+        api.activateScene(999),
+        (err) => err.message.includes('API error 404')
+      );
+    });
+  });
 });
@@ -0,0 +1,98 @@
+// End-to-end tests for cloud-to-RF channel correlation using the cloud mock and gateway simulator
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { PowerShadesApi } = require('../api.js');
+const { ChannelCorrelationError, correlateChannels } = require('../channel-correlation.js');
+const { PowerShadesCloudMock } = require('../tools/powershades-cloud-mock.js');
+const { PowerShadesGatewaySimulator } = require('../tools/powershades-gateway-simulator.js');
+
+const silentLogger = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+describe('correlateChannels', () => {
+  let mock;
+  let simulator;
+  let gateway;
+  let cloudApi;
+  // Cloud shade id -> gateway channel; shades left out never reach the simulated gateway.
+  let wiring;
+
+  beforeEach(async () => {
+    wiring = new Map([[101, 7], [102, 3]]);
+    simulator = new PowerShadesGatewaySimulator({ travelTimeMs: 0 });
+    const address = await simulator.start({ udpPort: 0, httpPort: 0 });
+    gateway = { host: '127.0.0.1', httpPort: address.httpPort };
+
+    mock = new PowerShadesCloudMock({
+      email: 'test@example.com',
+      password: 'password123',
+      shades: [
+        { id: 101, name: 'Kitchen', percentage: 11 },
+        { id: 102, name: 'Office', percentage: 100 },
+        { id: 103, name: 'Garage', percentage: 0 },
+      ],
+      onShadeMove: (shade, percentage) => {
+        if (wiring.has(shade.id)) simulator.simulateRemoteMove(wiring.get(shade.id), percentage);
+      },
+    });
+    const { baseUrl } = await mock.start();
+    cloudApi = new PowerShadesApi({ email: 'test@example.com', password: 'password123', baseUrl, logger: silentLogger });
+  });
+
+  afterEach(async () => {
+    await mock.stop();
+    await simulator.stop();
+  });
+
+  test('should map each cloud shade to the channel that logged its unique target', async () => {
+    const result = await correlateChannels({
+      cloudApi,
+      gateways: [gateway],
+      pollIntervalMs: 50,
+      matchTimeoutMs: 300,
+    });
+
+    assert.deepStrictEqual(result.matches.map((match) => [match.shadeName, match.target, match.channel]), [
+      ['Kitchen', 12, 7],
+      ['Office', 13, 3],
+    ]);
+    assert.deepStrictEqual(result.unmatched.map((entry) => entry.shadeName), ['Garage']);
+    assert.deepStrictEqual(result.suggestedConfig.localGateways, [{
+      host: '127.0.0.1',
+      httpPort: gateway.httpPort,
+      shades: [
+        { channel: 3, name: 'Office', id: '102' },
+        { channel: 7, name: 'Kitchen', id: '101' },
+      ],
+    }]);
+
+    // Shades are moved back to where they started.
+    assert.strictEqual(mock.getShade('Kitchen').percentage, 11);
+    assert.strictEqual(mock.getShade('Office').percentage, 100);
+  });
+
+  test('should report shades that share a channel instead of guessing', async () => {
+    wiring.set(103, 7);
+    const result = await correlateChannels({
+      cloudApi,
+      gateways: [gateway],
+      shadeNames: ['Kitchen', 'Garage'],
+      pollIntervalMs: 50,
+      matchTimeoutMs: 300,
+      restore: false,
+    });
+
+    assert.deepStrictEqual(result.matches.map((match) => match.shadeName), ['Kitchen']);
+    assert.match(result.unmatched[0].reason, /channel 7 already matched "Kitchen"/);
+    assert.strictEqual(mock.getShade('Garage').percentage, 13);
+  });
+
+  test('should require a gateway', async () => {
+    await assert.rejects(correlateChannels({ cloudApi, gateways: [] }), ChannelCorrelationError);
+  });
+});
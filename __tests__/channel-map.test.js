@@ -0,0 +1,105 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const {
+  ChannelMapError,
+  detectChannelMapFormat,
+  exportChannelMap,
+  mergeChannelMap,
+  parseChannelMap,
+} = require("../channel-map");
+
+const localGateways = [{
+  host: "192.168.1.50",
+  serial: "00:1e:c0:aa:bb:cc",
+  shades: [
+    { channel: 2, name: "Office | East", id: "102", rfDeviceId: "5e0002", room: "Office", powerSource: "battery" },
+    { channel: 1, name: "Kitchen", rfDeviceId: "5e0001" },
+    { channel: 3, name: "Hidden", enabled: false },
+  ],
+}];
+
+test("channel maps round-trip through Markdown, CSV and JSON", () => {
+  for (const format of ["markdown", "csv", "json"]) {
+    const text = exportChannelMap(localGateways, format);
+    assert.equal(detectChannelMapFormat(text), format);
+
+    const [gateway] = parseChannelMap(text);
+    assert.equal(gateway.host, "192.168.1.50");
+    assert.equal(gateway.serial, "00:1e:c0:aa:bb:cc");
+    assert.deepEqual(gateway.shades, [
+      { channel: 1, name: "Kitchen", rfDeviceId: "5e0001" },
+      { channel: 2, name: "Office | East", id: "102", rfDeviceId: "5e0002", room: "Office" },
+    ]);
+  }
+});
+
+test("the example mapping template imports by gateway position", () => {
+  const template = fs.readFileSync(path.join(__dirname, "../RF-CHANNEL-MAPPING.example.md"), "utf8");
+  const mapGateways = parseChannelMap(template);
+  assert.deepEqual(mapGateways.map((gateway) => gateway.label), ["Gateway A", "Gateway B"]);
+
+  const merged = mergeChannelMap([
+    { host: "192.168.1.50", shades: [{ channel: 1, name: "Old", powerSource: "hardwired" }] },
+    { host: "192.168.1.51" },
+  ], mapGateways);
+  // The configured channel keeps its identity; the added one takes the map's id.
+  assert.deepEqual(merged[0].shades, [
+    { channel: 1, name: "Example Shade", powerSource: "hardwired", room: "Example Room" },
+  ]);
+  assert.deepEqual(merged[1].shades, [{ channel: 1, name: "Example Shade", id: "00001", room: "Example Room" }]);
+});
+
+test("channel map imports keep configured shade ids unless asked to replace them", () => {
+  const configured = [{ host: "192.168.1.50", shades: [{ channel: 1, name: "Kitchen", id: "kitchen" }, { channel: 2, name: "Den" }] }];
+  const mapGateways = parseChannelMap("RF channel,Shade name,Shade id\n1,Kitchen Left,101\n2,Den,102\n");
+
+  const kept = mergeChannelMap(configured, mapGateways);
+  assert.deepEqual(kept[0].shades, [{ channel: 1, name: "Kitchen Left", id: "kitchen" }, { channel: 2, name: "Den" }]);
+
+  const replaced = mergeChannelMap(configured, mapGateways, { replaceIds: true });
+  assert.deepEqual(replaced[0].shades.map((shade) => shade.id), ["101", "102"]);
+  assert.equal(configured[0].shades[0].id, "kitchen");
+});
+
+test("channel map imports reject duplicate shade ids", () => {
+  const repeated = [
+    "## Gateway A", "", "| RF channel | Shade name | Shade id |", "| --- | --- | --- |", "| 1 | Left | 7 |", "",
+    "## Gateway B", "", "| RF channel | Shade name | Shade id |", "| --- | --- | --- |", "| 1 | Right | 7 |",
+  ].join("\n");
+  assert.throws(() => parseChannelMap(repeated), /Shade id "7" is used by both Gateway A channel 1 and Gateway B channel 1/);
+
+  // An added channel may not take an id a configured shade already has.
+  assert.throws(
+    () => mergeChannelMap(
+      [{ host: "192.168.1.50", shades: [{ channel: 1, name: "Kitchen", id: "7" }] }],
+      parseChannelMap("RF channel,Shade name,Shade id\n2,Den,7\n")
+    ),
+    (err) => err instanceof ChannelMapError && /Shade id "7"/.test(err.message)
+  );
+});
+
+test("channel map merges match gateways by serial and add new hosts", () => {
+  const merged = mergeChannelMap([{ host: "192.168.1.99", serial: "001EC0AABBCC", shades: [] }], parseChannelMap([
+    "Gateway,Serial,RF channel,Shade name",
+    "192.168.1.50,00-1e-c0-aa-bb-cc,4,Den",
+    "192.168.1.60,,1,\"Guest, North\"",
+  ].join("\n")));
+
+  assert.equal(merged.length, 2);
+  assert.deepEqual(merged[0].shades, [{ channel: 4, name: "Den" }]);
+  assert.deepEqual(merged[1], { host: "192.168.1.60", shades: [{ channel: 1, name: "Guest, North" }] });
+});
+
+test("channel map imports reject bad channels and unmatched gateways", () => {
+  assert.throws(() => parseChannelMap("RF channel,Shade name\n31,Attic\n"), /Invalid RF channel "31"/);
+  assert.throws(() => parseChannelMap("RF channel,Shade name\n1,A\n1,B\n"), /listed more than once/);
+  assert.throws(() => parseChannelMap("{\"gateways\": []}"), ChannelMapError);
+  assert.throws(
+    () => mergeChannelMap([], parseChannelMap("## Upstairs\n\n| RF channel | Shade name |\n| --- | --- |\n| 1 | Loft |\n")),
+    /No configured gateway matches "Upstairs"/
+  );
+});
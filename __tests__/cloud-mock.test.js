@@ -0,0 +1,129 @@
+// Integration tests for PowerShadesApi against the local cloud mock
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { PowerShadesApi } = require('../api.js');
+const { PowerShadesCloudMock } = require('../tools/powershades-cloud-mock.js');
+const { mergeShadeAttributes } = require('../shade-attributes.js');
+
+const silentLogger = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+describe('PowerShadesApi against PowerShadesCloudMock', () => {
+  let mock;
+  let baseUrl;
+
+  beforeEach(async () => {
+    mock = new PowerShadesCloudMock({ email: 'test@example.com', password: 'password123' });
+    ({ baseUrl } = await mock.start());
+  });
+
+  afterEach(async () => {
+    await mock.stop();
+  });
+
+  function createApi(options = {}) {
+    return new PowerShadesApi({
+      email: 'test@example.com',
+      password: 'password123',
+      baseUrl,
+      logger: silentLogger,
+      ...options,
+    });
+  }
+
+  test('should list and move shades, groups and scenes', async () => {
+    const api = createApi();
+
+    const shades = await api.getShades();
+    assert.deepStrictEqual(shades.map((shade) => shade.name), ['Kitchen', 'Office']);
+
+    await api.moveShade('Kitchen', 40);
+    assert.strictEqual(mock.getShade('Kitchen').percentage, 40);
+
+    const [group] = await api.getGroups();
+    await api.moveGroup(group.id, 75);
+    assert.strictEqual(mock.getShade(101).percentage, 75);
+    assert.strictEqual(mock.getShade(102).percentage, 75);
+
+    const [scene] = await api.getScenes();
+    await api.activateScene(scene.id);
+    assert.strictEqual(mock.getShade(102).percentage, 0);
+
+    const schedules = await api.getSchedules();
+    assert.strictEqual(schedules[0].name, 'Close at Night');
+
+    await api.setScheduleEnabled(schedules[0].id, false);
+    const [suspended] = await api.getSchedules();
+    assert.strictEqual(suspended.enabled, false);
+  });
+
+  test('should serve shade attributes that merge onto the shade list', async () => {
+    const api = createApi();
+    const [kitchen, office] = mergeShadeAttributes(await api.getShades(), await api.getShadeAttributes());
+
+    assert.strictEqual(kitchen.batteryMillivolts, 7900);
+    assert.strictEqual(kitchen.powerSource, 'battery');
+    assert.strictEqual(kitchen.rx, -61);
+    assert.strictEqual(kitchen.firmwareVersion, '2.14');
+    assert.strictEqual(office.powerSource, 'hardwired');
+  });
+
+  test('should refresh an expired access token and retry', async () => {
+    const api = createApi();
+    await api.login();
+    const firstToken = api.accessToken;
+
+    mock.expireAccessTokens();
+    await api.getShades();
+
+    assert.notStrictEqual(api.accessToken, firstToken);
+    assert.deepStrictEqual(
+      mock.requests.map((request) => request.path),
+      ['/auth/jwt/', '/shades/', '/auth/jwt/refresh/', '/shades/'],
+    );
+  });
+
+  test('should log in again when the refresh token has expired too', async () => {
+    const api = createApi();
+    await api.login();
+
+    mock.expireAccessTokens();
+    mock.expireRefreshTokens();
+    const shades = await api.getShades();
+
+    assert.strictEqual(shades.length, 2);
+    assert.strictEqual(mock.requests.filter((request) => request.path === '/auth/jwt/').length, 2);
+  });
+
+  test('should count rejected credentials but not server errors as auth failures', async () => {
+    const api = createApi({ password: 'wrong' });
+    await assert.rejects(api.login(), /Login failed/);
+    assert.strictEqual(api.consecutiveAuthFailures, 1);
+
+    const serverErrorApi = createApi();
+    mock.injectFailure({ path: '/auth/jwt/', status: 500, times: 2 });
+    await assert.rejects(serverErrorApi.login(), /Login failed/);
+    assert.strictEqual(serverErrorApi.consecutiveAuthFailures, 0);
+  });
+
+  test('should surface injected server errors', async () => {
+    const api = createApi();
+    mock.injectFailure({ method: 'GET', path: '/shades/', status: 500 });
+
+    await assert.rejects(api.getShades(), /API error 500 on \/shades\//);
+    assert.strictEqual((await api.getShades()).length, 2);
+  });
+
+  test('should time out requests the server never answers', async () => {
+    const api = createApi({ requestTimeoutMs: 1000 });
+    await api.login();
+    mock.injectFailure({ path: '/shades/', timeout: true });
+
+    await assert.rejects(api.getShades(), /timed out after 1000ms/);
+  });
+});
@@ -0,0 +1,113 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { LocalPowerShadesApi } = require('../local-api.js');
+const { buildCommandPacket, buildSetPositionPacket, buildRenameChannelPacket } = require('../local-udp-protocol.js');
+const { PowerShadesGatewaySimulator } = require('../tools/powershades-gateway-simulator.js');
+
+const silentLogger = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+describe('PowerShadesGatewaySimulator', () => {
+  test('should apply packets with simulated travel time', () => {
+    let now = 1000;
+    const simulator = new PowerShadesGatewaySimulator({
+      channels: [{ channel: 3, name: 'Office', percent: 0 }],
+      travelTimeMs: 10000,
+      now: () => now,
+    });
+
+    const packet = buildSetPositionPacket({ channel: 3, percent: 80, sequence: 0x10 });
+    assert.deepStrictEqual(simulator.handlePacket(packet), packet);
+
+    now += 4000;
+    assert.strictEqual(simulator.getChannel(3).percent, 40);
+    simulator.handlePacket(buildCommandPacket({ command: 0x05, channel: 3, sequence: 0x11 }));
+    now += 4000;
+    assert.strictEqual(simulator.getChannel(3).percent, 40);
+
+    simulator.handlePacket(buildRenameChannelPacket({ channel: 3, name: 'Den', sequence: 0x12 }));
+    assert.strictEqual(simulator.readVariable('chnames1').split(':')[2], 'Den');
+    assert.strictEqual(simulator.readVariable('percent').split(':')[0], '-1');
+    assert.match(simulator.readVariable('dbg_out'), /SCH ExeNextAct .* PCT 80/);
+  });
+
+  test('should log remote moves in the captured frame format', async () => {
+    const simulator = new PowerShadesGatewaySimulator({
+      channels: [{ channel: 4, name: 'Office', travelTimeMs: 60000 }],
+    });
+    const address = await simulator.start({ udpPort: 0, httpPort: 0 });
+
+    try {
+      const api = new LocalPowerShadesApi({
+        logger: silentLogger,
+        requestTimeoutMs: 1000,
+        gateways: [{
+          host: address.host,
+          serial: 'sim',
+          udpPort: address.udpPort,
+          httpPort: address.httpPort,
+          discoverChannels: false,
+          shades: [{ name: 'Office', channel: 4 }],
+        }],
+      });
+      await api.refreshShadeStates();
+      await api.pollDebugOutput(api.gateways[0]);
+
+      // RF-PROTOCOL.md Example 1: a move to 100% transmits 00 in byte 4.
+      simulator.simulateRemoteMove(4, 100);
+      assert.match(simulator.readVariable('dbg_out'), /W433 TXP\[\d+\] 12 C1 0027003C:0027003C 0008 \{02 04 40 00 00 00 00 00\}/);
+      await api.pollDebugOutput(api.gateways[0]);
+
+      const state = api.getState(api.findShade('Office'));
+      assert.strictEqual(state.target_position, 100);
+      assert.strictEqual(state.direction, 'closing');
+    } finally {
+      await simulator.stop();
+    }
+  });
+
+  test('should ignore malformed packets', () => {
+    const simulator = new PowerShadesGatewaySimulator();
+    const packet = buildCommandPacket({ command: 0x03, channel: 1, sequence: 0x20 });
+    packet[3] ^= 0xff;
+    assert.strictEqual(simulator.handlePacket(packet), null);
+  });
+
+  test('should drive LocalPowerShadesApi end to end', async () => {
+    const simulator = new PowerShadesGatewaySimulator({
+      channels: [{ channel: 1, name: 'Kitchen', batteryMillivolts: 12100 }],
+      travelTimeMs: 0,
+    });
+    const address = await simulator.start({ udpPort: 0, httpPort: 0 });
+
+    try {
+      const api = new LocalPowerShadesApi({
+        logger: silentLogger,
+        requestTimeoutMs: 1000,
+        gateways: [{
+          host: address.host,
+          serial: 'sim',
+          udpPort: address.udpPort,
+          httpPort: address.httpPort,
+        }],
+      });
+
+      const [shade] = await api.getShades();
+      assert.strictEqual(shade.name, 'Kitchen');
+      assert.strictEqual(shade.batteryMillivolts, 12100);
+
+      await api.moveShade(shade, 65);
+      assert.strictEqual(simulator.getChannel(1).percent, 65);
+
+      const [health] = await api.getGatewayHealth();
+      assert.strictEqual(health.reachable, true);
+      assert.strictEqual(health.version, '226');
+    } finally {
+      await simulator.stop();
+    }
+  });
+});
@@ -4,7 +4,7 @@ const { test } = require("node:test");
 const assert = require("node:assert/strict");
 const fs = require("node:fs");
 const path = require("node:path");
-const { serializeGateway } = require("../homebridge-ui/public/app");
+const { channelsToRename, firstFreeChannel, serializeGateway } = require("../homebridge-ui/public/app");
 
 test("custom UI save serialization preserves gateway and shade overrides", () => {
   const gateway = {
@@ -75,6 +75,30 @@ test("custom UI save serialization preserves gateway and shade overrides", () =>
   });
 });
 
+test("custom UI name sync only renames edited channels on discovered gateways", () => {
+  const channels = [
+    { channel: 1, name: "Kitchen Left", discoveredName: "Kitchen", enabled: true },
+    { channel: 2, name: "Office", discoveredName: "Office", enabled: true },
+    { channel: 3, name: "Channel 3", discoveredName: null, enabled: true },
+    { channel: 4, name: "Hidden", discoveredName: null, enabled: false },
+    { channel: 5, name: "Den ", discoveredName: null, enabled: true },
+  ];
+
+  assert.deepEqual(channelsToRename({ metadata: { version: "226" }, channels }).map((row) => row.channel), [1, 5]);
+  assert.deepEqual(channelsToRename({ metadata: null, channels }), []);
+});
+
+test("custom UI pairing suggests the first channel without a linked device", () => {
+  const channels = [
+    { channel: 2, rfDeviceId: "5e0002" },
+    { channel: 1, rfDeviceId: "5e0001" },
+    { channel: 3, rfDeviceId: null },
+  ];
+
+  assert.equal(firstFreeChannel({ channels }), 3);
+  assert.equal(firstFreeChannel({}), 1);
+});
+
 test("custom UI help icons do not also use native browser title tooltips", () => {
   const appSource = fs.readFileSync(path.join(__dirname, "../homebridge-ui/public/app.js"), "utf8");
   assert.equal(appSource.includes(".title ="), false);
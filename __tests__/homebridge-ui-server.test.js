@@ -2,7 +2,8 @@
 
 const { test } = require("node:test");
 const assert = require("node:assert/strict");
-const { buildChannelRows } = require("../homebridge-ui/server");
+const { PluginUiServer, buildChannelRows } = require("../homebridge-ui/server");
+const { PowerShadesGatewaySimulator } = require("../tools/powershades-gateway-simulator");
 
 test("custom UI discovery rows preserve configured battery thresholds", () => {
   const rows = buildChannelRows({
@@ -29,3 +30,52 @@ test("custom UI discovery rows preserve configured battery thresholds", () => {
   assert.equal(rows[0].batteryMaxMillivolts, 7800);
   assert.equal(rows[0].lowBatteryMillivolts, 7650);
 });
+
+test("custom UI pairing handlers link a simulated channel and verify its device ID", async () => {
+  const simulator = new PowerShadesGatewaySimulator();
+  const address = await simulator.start({ udpPort: 0, httpPort: 0 });
+  try {
+    const server = new PluginUiServer();
+    const gateway = { host: "127.0.0.1", httpPort: address.httpPort, udpPort: address.udpPort, udpTimeoutMs: 500 };
+
+    await server.pairChannel({ gateway, channel: 4 });
+    assert.equal(simulator.getChannel(4).paired, true);
+    await assert.rejects(
+      server.verifyLink({ gateway, channel: 4, timeoutMs: 1000, intervalMs: 200 }),
+      /Channel 4 did not report an RF device ID within 1s/
+    );
+
+    await server.sendChannelCommand({ gateway, channel: 4, command: "down" });
+    assert.equal(simulator.getChannel(4).target, 100);
+    await server.sendChannelCommand({ gateway, channel: 4, command: "link-feedback" });
+
+    const result = await server.verifyLink({ gateway, channel: 4, intervalMs: 100 });
+    assert.equal(result.rfDeviceId, "5e0004");
+    assert.equal(result.attempts, 1);
+  } finally {
+    await simulator.stop();
+  }
+});
+
+test("custom UI channel commands reject unknown commands and channels", async () => {
+  const server = new PluginUiServer();
+  const gateway = { host: "127.0.0.1" };
+  await assert.rejects(server.sendChannelCommand({ gateway, channel: 1, command: "pair" }), /Unsupported channel command/);
+  await assert.rejects(server.sendChannelCommand({ gateway, channel: 31, command: "up" }), /Invalid RF channel/);
+  await assert.rejects(server.verifyLink({ channel: 1 }), /Gateway host is required/);
+});
+
+test("custom UI set-position handler moves a simulated channel", async () => {
+  const simulator = new PowerShadesGatewaySimulator({ channels: [{ channel: 2, name: "Office" }], travelTimeMs: 0 });
+  const address = await simulator.start({ udpPort: 0, httpPort: 0 });
+  try {
+    const server = new PluginUiServer();
+    const gateway = { host: "127.0.0.1", httpPort: address.httpPort, udpPort: address.udpPort, udpTimeoutMs: 500 };
+
+    assert.deepEqual(await server.setChannelPosition({ gateway, channel: 2, percent: 62.4 }), { host: "127.0.0.1", channel: 2, percent: 62 });
+    assert.equal(simulator.getChannel(2).percent, 62);
+    await assert.rejects(server.setChannelPosition({ gateway, channel: 2, percent: 140 }), /Invalid position/);
+  } finally {
+    await simulator.stop();
+  }
+});
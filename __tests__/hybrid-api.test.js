@@ -0,0 +1,92 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { LocalPowerShadesApi } = require('../local-api.js');
+const { HybridPowerShadesApi } = require('../hybrid-api.js');
+
+const silentLogger = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+function createLocalApi(sendUdpFn) {
+  return new LocalPowerShadesApi({
+    logger: silentLogger,
+    gateways: [{
+      host: '192.168.1.10',
+      serial: 'gw1',
+      discoverChannels: false,
+      shades: [
+        { name: 'Kitchen', channel: 1, cloudName: 'Kitchen Window' },
+        { name: 'Office', channel: 2 },
+      ],
+    }],
+    requestFn: async () => '["0:0"]',
+    sendUdpFn,
+  });
+}
+
+describe('HybridPowerShadesApi', () => {
+  test('moveShade should use local UDP when the gateway answers', async () => {
+    const cloudMoves = [];
+    const localApi = createLocalApi(async (args) => ({ packet: args.packet, response: args.packet }));
+    const api = new HybridPowerShadesApi({
+      localApi,
+      cloudApi: { moveShade: async (...args) => cloudMoves.push(args) },
+      logger: silentLogger,
+    });
+
+    await api.moveShade('Kitchen', 40);
+
+    assert.deepStrictEqual(cloudMoves, []);
+    assert.strictEqual(localApi.getState(localApi.findShade('Kitchen')).target_position, 40);
+  });
+
+  test('moveShade should fall back to the mapped cloud shade name when the gateway times out', async () => {
+    const cloudMoves = [];
+    const localApi = createLocalApi(async (args) => ({ packet: args.packet, response: null, timedOut: true }));
+    const api = new HybridPowerShadesApi({
+      localApi,
+      cloudApi: { moveShade: async (...args) => cloudMoves.push(args) },
+      logger: silentLogger,
+    });
+
+    await api.moveShade(localApi.findShade('Kitchen'), 65);
+    await api.moveShade('Office', 20);
+
+    assert.deepStrictEqual(cloudMoves, [['Kitchen Window', 65], ['Office', 20]]);
+    assert.strictEqual(localApi.getState(localApi.findShade('Kitchen')).current_position, 65);
+    assert.strictEqual(localApi.getState(localApi.findShade('Office')).target_position, 20);
+  });
+
+  test('moveShade should hold the cloud target for a channel with feedback history', async () => {
+    const localApi = createLocalApi(async (args) => ({ packet: args.packet, response: null, timedOut: true }));
+    const api = new HybridPowerShadesApi({
+      localApi,
+      cloudApi: { moveShade: async () => {} },
+      logger: silentLogger,
+    });
+    const kitchen = localApi.findShade('Kitchen');
+    const state = localApi.getState(kitchen);
+    state.current_position = 20;
+    state.target_position = 20;
+    state.lastReportedPosition = 20;
+
+    await api.moveShade(kitchen, 80);
+
+    assert.strictEqual(state.moving, false);
+    assert.strictEqual(state.current_position, 80);
+    assert.strictEqual(state.target_position, 80);
+    assert.strictEqual(localApi.hasMovingShades(kitchen.gateway), false);
+  });
+
+  test('moveShade should rethrow the local error without cloud credentials', async () => {
+    const localApi = createLocalApi(async () => {
+      throw new Error('EHOSTUNREACH');
+    });
+    const api = new HybridPowerShadesApi({ localApi, logger: silentLogger });
+
+    await assert.rejects(api.moveShade('Kitchen', 50), /EHOSTUNREACH/);
+  });
+});
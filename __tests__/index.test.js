@@ -2,13 +2,68 @@
 
 const { test } = require("node:test");
 const assert = require("node:assert/strict");
-const { normalizeControlMode, resolveConfiguredControlMode } = require("../index");
+const plugin = require("../index");
+const { normalizeControlMode, resolveConfiguredControlMode } = plugin;
 
-test("normalizeControlMode preserves cloud and local UDP choices", () => {
+const silentLog = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+class FakeHapStatusError extends Error {
+  constructor(hapStatus) {
+    super(`HAP status ${hapStatus}`);
+    this.hapStatus = hapStatus;
+  }
+}
+
+const fakeHap = {
+  HAPStatus: { SERVICE_COMMUNICATION_FAILURE: -70402 },
+  HapStatusError: FakeHapStatusError,
+  Service: { WindowCovering: "WindowCovering", Switch: "Switch" },
+  Characteristic: {
+    CurrentPosition: { UUID: "CurrentPosition" },
+    TargetPosition: { UUID: "TargetPosition" },
+    PositionState: { UUID: "PositionState", DECREASING: 0, INCREASING: 1, STOPPED: 2 },
+    On: { UUID: "On" },
+    StatusFault: { UUID: "StatusFault", NO_FAULT: 0, GENERAL_FAULT: 1 },
+  },
+};
+
+function createPlatform(config, log = silentLog) {
+  let Platform;
+  plugin({ registerPlatform: (pluginName, platformName, constructor) => { Platform = constructor; } });
+  // Without a Homebridge API the constructor skips launch hooks; tests hand it just the HAP types.
+  const platform = new Platform(log, config, null);
+  platform.api = { hap: fakeHap };
+  return platform;
+}
+
+function createShadeAccessory(shade) {
+  const updates = [];
+  return {
+    updates,
+    context: { shade },
+    getService: (type) => (type === "WindowCovering"
+      ? { updateCharacteristic: (characteristic, value) => updates.push([characteristic.UUID, value]) }
+      : null),
+  };
+}
+
+const localGateway = {
+  host: "192.168.1.50",
+  discoverChannels: false,
+  shades: [{ name: "Kitchen", channel: 1 }],
+};
+
+test("normalizeControlMode preserves cloud, hybrid and local UDP choices", () => {
   assert.equal(normalizeControlMode("cloud"), "cloud");
   assert.equal(normalizeControlMode("local-udp"), "local-udp");
   assert.equal(normalizeControlMode("udp"), "local-udp");
   assert.equal(normalizeControlMode("local"), "local-udp");
+  assert.equal(normalizeControlMode("hybrid"), "hybrid");
   assert.equal(normalizeControlMode("unexpected"), "cloud");
 });
 
@@ -18,4 +73,138 @@ test("resolveConfiguredControlMode keeps existing cloud configs but defaults new
   assert.equal(resolveConfiguredControlMode({ apiToken: "token" }), "cloud");
   assert.equal(resolveConfiguredControlMode({ localGateways: [{ host: "192.168.1.50" }] }), "local-udp");
   assert.equal(resolveConfiguredControlMode({ controlMode: "cloud", localGateways: [{ host: "192.168.1.50" }] }), "cloud");
+  assert.equal(resolveConfiguredControlMode({ controlMode: "hybrid", localGateways: [{ host: "192.168.1.50" }] }), "hybrid");
+});
+
+test("recordCloudPollResult marks cloud shades unreachable after repeated failures and recovers", () => {
+  const platform = createPlatform({ controlMode: "cloud", apiToken: "token", offlineAfterFailures: 2 });
+
+  platform.recordCloudPollResult(false);
+  assert.equal(platform.isShadeReachable({ id: 1 }), true);
+  platform.recordCloudPollResult(false);
+  assert.equal(platform.cloudPollFailures, 2);
+  assert.equal(platform.isShadeReachable({ id: 1 }), false);
+
+  platform.recordCloudPollResult(true);
+  assert.equal(platform.cloudPollFailures, 0);
+  assert.equal(platform.isShadeReachable({ id: 1 }), true);
+});
+
+test("assertReachable throws a communication failure for unreachable shades", () => {
+  const platform = createPlatform({ controlMode: "local-udp", localGateways: [localGateway] });
+
+  assert.doesNotThrow(() => platform.assertReachable(platform.isShadeReachable({ name: "Kitchen", reachable: true })));
+  assert.throws(
+    () => platform.assertReachable(platform.isShadeReachable({ name: "Kitchen", reachable: false })),
+    (err) => err instanceof FakeHapStatusError && err.hapStatus === fakeHap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
+  );
+});
+
+test("updateFaultStates sets StatusFault from each shade's reachability", () => {
+  const platform = createPlatform({ controlMode: "local-udp", localGateways: [localGateway] });
+  const online = createShadeAccessory({ name: "Kitchen", reachable: true });
+  const offline = createShadeAccessory({ name: "Office", reachable: false });
+  platform.accessories.set("online", online);
+  platform.accessories.set("offline", offline);
+
+  platform.updateFaultStates();
+
+  assert.deepEqual(online.updates, [["StatusFault", 0]]);
+  assert.deepEqual(offline.updates, [["StatusFault", 1]]);
+});
+
+test("hybrid shades report a fault while their gateway is offline but still move through the cloud", async () => {
+  const platform = createPlatform({
+    controlMode: "hybrid",
+    email: "user@example.com",
+    password: "secret",
+    localGateways: [localGateway],
+  });
+  const [kitchen] = platform.psApi.localApi.shades;
+  const shade = { id: kitchen.id, name: kitchen.name, current_position: 20, reachable: false };
+  const accessory = createShadeAccessory(shade);
+  const cloudMoves = [];
+  platform.psApi.localApi.moveShade = async () => {
+    throw new Error("connect EHOSTUNREACH");
+  };
+  platform.psApi.cloudApi.moveShade = async (name, target) => cloudMoves.push([name, target]);
+  platform.restartPolling = () => {};
+
+  // The last gateway position is stale, so reads report No Response instead of returning it.
+  assert.equal(platform.isShadeReachable(shade), false);
+  assert.throws(() => platform.assertReachable(platform.isShadeReachable(accessory.context.shade)), FakeHapStatusError);
+
+  await platform.handleSetTargetPosition(accessory, shade, 80);
+  assert.deepEqual(cloudMoves, [["Kitchen", 80]]);
+  assert.ok(accessory.updates.some(([characteristic, value]) => characteristic === "TargetPosition" && value === 80));
+});
+
+test("hybrid shades without cloud credentials report their gateway's reachability", () => {
+  const platform = createPlatform({ controlMode: "hybrid", localGateways: [localGateway] });
+  const [kitchen] = platform.psApi.localApi.shades;
+
+  assert.equal(platform.isShadeReachable({ id: kitchen.id, name: kitchen.name, reachable: false }), false);
+});
+
+test("scene switches stay off unless the experimental flag is set", async () => {
+  const warnings = [];
+  const platform = createPlatform(
+    { controlMode: "cloud", apiToken: "token", exposeScenes: ["Good Morning"] },
+    { ...silentLog, warn: (message) => warnings.push(message) }
+  );
+  const registered = [];
+  platform.psApi = { getScenes: async () => [{ id: 5, name: "Good Morning" }] };
+  platform.registerSceneAccessory = (scene) => registered.push(scene.name);
+
+  await platform.discoverScenes();
+  assert.equal(platform.hasExposedScenes(), false);
+  assert.deepEqual(registered, []);
+  assert.match(warnings[0], /experimentalSceneSwitches/);
+
+  platform.experimentalSceneSwitches = true;
+  await platform.discoverScenes();
+  assert.deepEqual(registered, ["Good Morning"]);
+});
+
+test("schedule switches stay off unless the experimental flag is set", async () => {
+  const warnings = [];
+  const schedules = [{ id: 401, name: "Close at Night", enabled: true }];
+  const platform = createPlatform(
+    { controlMode: "cloud", apiToken: "token", exposeSchedules: ["Close at Night"] },
+    { ...silentLog, warn: (message) => warnings.push(message) }
+  );
+  const registered = [];
+  platform.psApi = { getSchedules: async () => schedules };
+  platform.registerScheduleAccessory = (schedule) => registered.push(schedule.name);
+
+  await platform.discoverSchedules();
+  assert.equal(platform.hasExposedSchedules(), false);
+  assert.deepEqual(registered, []);
+  assert.match(warnings[0], /experimentalScheduleSwitches/);
+
+  platform.experimentalScheduleSwitches = true;
+  await platform.discoverSchedules();
+  assert.deepEqual(registered, ["Close at Night"]);
+});
+
+test("a failed schedule update puts the switch back", async () => {
+  const platform = createPlatform({
+    controlMode: "cloud",
+    apiToken: "token",
+    exposeSchedules: ["Close at Night"],
+    experimentalScheduleSwitches: true,
+  });
+  const schedule = { id: 401, name: "Close at Night", enabled: true };
+  const updates = [];
+  const accessory = {
+    context: { schedule },
+    getService: (type) => (type === "Switch"
+      ? { updateCharacteristic: (characteristic, value) => updates.push([characteristic.UUID, value]) }
+      : null),
+  };
+  platform.psApi = { setScheduleEnabled: async () => { throw new Error("API error 405 on /schedules/401/"); } };
+
+  await assert.rejects(platform.handleSetScheduleEnabled(accessory, false), /API error 405/);
+  assert.deepEqual(updates, [["On", true]]);
+  assert.equal(accessory.context.schedule.enabled, true);
 });
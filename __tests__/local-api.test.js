@@ -1,10 +1,15 @@
 const { test, describe } = require('node:test');
 const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
 const {
   LocalPowerShadesApi,
   normalizeGatewayChannelName,
   parseChannelValues,
+  parseGatewayDebugLine,
   parseGatewayJson,
+  parseGatewayMetadata,
 } = require('../local-api.js');
 
 const silentLogger = {
@@ -198,6 +203,15 @@ describe('LocalPowerShadesApi', () => {
     assert.strictEqual(sent[0].packet[4], 0x1a);
     assert.strictEqual(sent[0].packet.readUInt16LE(6), 1);
     assert.strictEqual(sent[0].packet.readUInt16LE(10), 50);
+    assert.strictEqual(api.getState(shade).current_position, 20);
+    assert.strictEqual(api.getState(shade).target_position, 50);
+    assert.strictEqual(api.isShadeMoving(shade), true);
+    assert.strictEqual(api.getShadeDirection(shade), 'closing');
+
+    // Feedback that never changes during the move falls back to the optimistic target.
+    api.getState(shade).lastPositionChangeAt = 0;
+    await api.refreshShadeStates();
+    assert.strictEqual(api.isShadeMoving(shade), false);
     assert.strictEqual(api.getState(shade).current_position, 50);
 
     shade.gateway.lastStatusRefresh = 0;
@@ -245,6 +259,256 @@ describe('LocalPowerShadesApi', () => {
     assert.strictEqual(api.getState(shade).optimisticUntil, 0);
   });
 
+  test('UDP mode should track motion from successive gateway percent values', async () => {
+    const responses = {
+      percent: '["80"]',
+      battery: '["12280"]',
+      rx: '["-71"]',
+      rfdevs: '["abc"]',
+    };
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      gateways: [{ host: '192.168.1.10', serial: 'gw1', discoverChannels: false, shades: [{ name: 'Left', channel: 1 }] }],
+      requestFn: async (_gateway, query) => responses[query.replace('var=', '')],
+      sendUdpFn: async (args) => ({ packet: args.packet, response: args.packet }),
+    });
+    const [shade] = await api.getShades();
+
+    await api.moveShade(shade, 10);
+    assert.strictEqual(api.getShadeDirection(shade), 'opening');
+
+    responses.percent = '["45"]';
+    await api.refreshShadeStates();
+    assert.strictEqual(api.isShadeMoving(shade), true);
+    assert.strictEqual(api.getState(shade).current_position, 45);
+    assert.strictEqual(api.getState(shade).target_position, 10);
+
+    responses.percent = '["11"]';
+    shade.gateway.lastStatusRefresh = 0;
+    await api.refreshShadeStates();
+    assert.strictEqual(api.isShadeMoving(shade), false);
+    assert.strictEqual(api.getShadeDirection(shade), null);
+    assert.strictEqual(api.getState(shade).current_position, 11);
+    assert.strictEqual(api.getState(shade).target_position, 11);
+  });
+
+  test('UDP mode should settle where feedback stops changing after motion', async () => {
+    const responses = {
+      percent: '["0"]',
+      battery: '["12280"]',
+      rx: '["-71"]',
+      rfdevs: '["abc"]',
+    };
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      gateways: [{ host: '192.168.1.10', serial: 'gw1', discoverChannels: false, shades: [{ name: 'Left', channel: 1 }] }],
+      requestFn: async (_gateway, query) => responses[query.replace('var=', '')],
+      sendUdpFn: async (args) => ({ packet: args.packet, response: args.packet }),
+    });
+    const [shade] = await api.getShades();
+
+    await api.moveShade(shade, 100);
+    responses.percent = '["60"]';
+    await api.refreshShadeStates();
+    assert.strictEqual(api.getShadeDirection(shade), 'closing');
+
+    api.getState(shade).lastPositionChangeAt = 0;
+    shade.gateway.lastStatusRefresh = 0;
+    await api.refreshShadeStates();
+    assert.strictEqual(api.isShadeMoving(shade), false);
+    assert.strictEqual(api.getState(shade).current_position, 60);
+    assert.strictEqual(api.getState(shade).target_position, 60);
+  });
+
+  test('UDP mode should refresh a moving shade at most twice per settle window', async () => {
+    let statusReads = 0;
+    const responses = {
+      percent: '["0"]',
+      battery: '["12280"]',
+      rx: '["-71"]',
+      rfdevs: '["abc"]',
+    };
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      gateways: [{ host: '192.168.1.10', serial: 'gw1', discoverChannels: false, shades: [{ name: 'Left', channel: 1 }] }],
+      requestFn: async (_gateway, query) => {
+        if (query === 'var=percent') statusReads += 1;
+        return responses[query.replace('var=', '')];
+      },
+      sendUdpFn: async (args) => ({ packet: args.packet, response: args.packet }),
+    });
+    const [shade] = await api.getShades();
+
+    await api.moveShade(shade, 100);
+    responses.percent = '["30"]';
+    await api.refreshShadeStates();
+    await api.refreshShadeStates();
+    assert.strictEqual(statusReads, 2);
+
+    shade.gateway.lastStatusRefresh -= api.motionSettleMs / 2;
+    await api.refreshShadeStates();
+    assert.strictEqual(statusReads, 3);
+  });
+
+  test('UDP mode should stop tracking a move when the gateway stops answering', async () => {
+    let online = true;
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      gateways: [{ host: '192.168.1.10', serial: 'gw1', discoverChannels: false, shades: [{ name: 'Left', channel: 1 }] }],
+      requestFn: async () => {
+        if (!online) throw new Error('ETIMEDOUT');
+        return '["20"]';
+      },
+      sendUdpFn: async (args) => ({ packet: args.packet, response: args.packet }),
+    });
+    const [shade] = await api.getShades();
+
+    await api.moveShade(shade, 90);
+    online = false;
+    await api.refreshShadeStates();
+    assert.strictEqual(api.isShadeMoving(shade), true);
+
+    api.getState(shade).moveStartedAt -= api.maxMotionMs;
+    await api.refreshShadeStates();
+    assert.strictEqual(api.isShadeMoving(shade), false);
+    assert.strictEqual(api.getState(shade).current_position, 90);
+    assert.strictEqual(api.hasMovingShades(shade.gateway), false);
+  });
+
+  test('UDP mode should not track motion for channels without position feedback', async () => {
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      gateways: [{ host: '192.168.1.10', serial: 'gw1', discoverChannels: false, shades: [{ name: 'Left', channel: 1 }] }],
+      requestFn: async () => '["-1"]',
+      sendUdpFn: async (args) => ({ packet: args.packet, response: args.packet }),
+    });
+    const [shade] = await api.getShades();
+
+    await api.moveShade(shade, 70);
+
+    assert.strictEqual(api.isShadeMoving(shade), false);
+    assert.strictEqual(api.getState(shade).current_position, 70);
+  });
+
+  test('UDP mode should estimate position from travel time for channels without feedback', async () => {
+    const sent = [];
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      gateways: [{
+        host: '192.168.1.10',
+        serial: 'gw1',
+        discoverChannels: false,
+        shades: [{ name: 'Left', channel: 1, assumePosition: 0, travelTimeUpMs: 10000, travelTimeDownMs: 20000 }],
+      }],
+      requestFn: async () => '["-1"]',
+      sendUdpFn: async (args) => {
+        sent.push(args);
+        return { packet: args.packet, response: args.packet };
+      },
+    });
+    const [shade] = await api.getShades();
+
+    await api.moveShade(shade, 50);
+    const state = api.getState(shade);
+    assert.deepStrictEqual({ ...state.estimate, startedAt: 0 }, { from: 0, to: 50, startedAt: 0, durationMs: 10000 });
+    assert.strictEqual(api.getShadeDirection(shade), 'closing');
+
+    state.estimate.startedAt -= 5000;
+    const [halfway] = await api.getShades();
+    assert.strictEqual(halfway.current_position, 25);
+    assert.strictEqual(api.isShadeMoving(shade), true);
+
+    await api.stopShade(shade);
+    assert.strictEqual(api.isShadeMoving(shade), false);
+    assert.strictEqual(state.current_position, 25);
+    assert.strictEqual(state.target_position, 25);
+
+    await api.moveShade(shade, 0);
+    assert.strictEqual(state.estimate.durationMs, 2500);
+    state.estimate.startedAt -= 2500;
+    assert.strictEqual(api.isShadeMoving(shade), false);
+    assert.strictEqual(state.current_position, 0);
+  });
+
+  test('UDP mode should restore travel-time estimates after a restart', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'powershades-'));
+    const statePath = path.join(dir, 'state.json');
+    const options = {
+      logger: silentLogger,
+      statePath,
+      gateways: [{
+        host: '192.168.1.10',
+        serial: 'gw1',
+        discoverChannels: false,
+        shades: [{ name: 'Left', channel: 1, assumePosition: 100, travelTimeUpMs: 30000 }],
+      }],
+      requestFn: async () => '["-1"]',
+      sendUdpFn: async (args) => ({ packet: args.packet, response: args.packet }),
+    };
+    try {
+      const first = new LocalPowerShadesApi(options);
+      await first.moveShade('Left', 0);
+      first.getState(first.findShade('Left')).estimate.startedAt -= 15000;
+      first.persistState();
+      await first.flushState();
+
+      const restarted = new LocalPowerShadesApi(options);
+      const [shade] = await restarted.getShades();
+      await restarted.flushState();
+
+      assert.strictEqual(shade.current_position, 50);
+      assert.strictEqual(shade.target_position, 0);
+      assert.strictEqual(restarted.getShadeDirection('Left'), 'opening');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('UDP mode should restore one-way shade state and battery after a restart', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'powershades-'));
+    const statePath = path.join(dir, 'state.json');
+    const responses = {
+      percent: '["-1"]',
+      battery: '["7700"]',
+      rx: '["0"]',
+      rfdevs: '["0"]',
+    };
+    const options = {
+      logger: silentLogger,
+      statePath,
+      gateways: [{
+        host: '192.168.1.10',
+        serial: 'gw1',
+        discoverChannels: false,
+        shades: [{ name: 'Left', channel: 1, assumePosition: 100 }],
+      }],
+      requestFn: async (_gateway, query) => responses[query.replace('var=', '')],
+      sendUdpFn: async (args) => ({ packet: args.packet, response: args.packet }),
+    };
+    try {
+      const first = new LocalPowerShadesApi(options);
+      await first.getShades();
+      await first.moveShade('Left', 30);
+      await first.flushState();
+
+      const restarted = new LocalPowerShadesApi({
+        ...options,
+        requestFn: async () => {
+          throw new Error('gateway offline');
+        },
+      });
+      const [shade] = await restarted.getShades();
+      await restarted.flushState();
+
+      assert.strictEqual(shade.current_position, 30);
+      assert.strictEqual(shade.target_position, 30);
+      assert.strictEqual(shade.batteryMillivolts, 7700);
+      assert.ok(restarted.getState(shade).lastUpdated > 0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
   test('UDP commands should not wait behind slow gateway status requests', async () => {
     let releaseStatus;
     const statusStarted = new Promise((resolve) => {
@@ -304,6 +568,522 @@ describe('LocalPowerShadesApi', () => {
     assert.strictEqual(sent[0].packet.readUInt16LE(6), 5);
   });
 
+  test('UDP mode should recall the motor favorite position with p2 packets', async () => {
+    const sent = [];
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      gateways: [{
+        host: '192.168.1.10',
+        serial: 'gw1',
+        discoverChannels: false,
+        shades: [{ name: 'Left', channel: 5 }],
+      }],
+      requestFn: async () => '["0:0:0"]',
+      sendUdpFn: async (args) => {
+        sent.push(args);
+        return { packet: args.packet, response: args.packet, rinfo: { address: args.host, port: args.port } };
+      },
+    });
+    const shade = api.findShade('Left');
+    shade.gateway.lastStatusRefresh = Date.now();
+
+    await api.recallFavoritePosition('Left');
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].packet[4], 0x16);
+    assert.strictEqual(sent[0].packet.readUInt16LE(6), 5);
+    assert.strictEqual(shade.gateway.lastStatusRefresh, 0);
+  });
+
+  test('renameChannel should send the gateway rename packet for the shade channel', async () => {
+    const sent = [];
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      gateways: [{
+        host: '192.168.1.10',
+        serial: 'gw1',
+        discoverChannels: false,
+        shades: [{ name: 'Left', channel: 7 }],
+      }],
+      requestFn: async () => '["0"]',
+      sendUdpFn: async (args) => {
+        sent.push(args.packet);
+        return { packet: args.packet, response: args.packet };
+      },
+    });
+
+    await api.renameChannel('Left', 'Reading Nook');
+    await assert.rejects(api.renameChannel('Left', 'Nook: East'), /Cannot rename channel 7 to "Nook: East"/);
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0][4], 0x3b);
+    assert.strictEqual(sent[0].readUInt16LE(6), 7);
+    assert.strictEqual(sent[0].subarray(8, 20).toString('ascii'), 'Reading Nook');
+  });
+
+  test('parseGatewayDebugLine should decode scheduled and transmitted set-position lines', () => {
+    assert.deepStrictEqual(
+      parseGatewayDebugLine('11:31:52.599 SCH ExeNextAct 1-WAY: ACTMASK[00000008] BANK[1] CH[00000008] PCT 100'),
+      { source: 'schedule', channels: [4], percent: 100 }
+    );
+    assert.deepStrictEqual(
+      parseGatewayDebugLine('11:32:01.750 W433 TXP[59] 12 C1 0027003C:0027003C 0005 {02 04 40 32 00 00 00 00}'),
+      { source: 'rf', channels: [1, 3], percent: null }
+    );
+    // RF-PROTOCOL.md Example 1: a move to 100% transmits 00, so frames never carry a target.
+    assert.deepStrictEqual(
+      parseGatewayDebugLine('11:31:52.607 W433 TXP[56] 12 C1 0027003C:0027003C 0008 {02 04 40 00 00 00 00 00}'),
+      { source: 'rf', channels: [4], percent: null }
+    );
+    assert.strictEqual(parseGatewayDebugLine('11:31:49.595 SRV SetPos [4]'), null);
+    assert.strictEqual(parseGatewayDebugLine('11:32:01.750 W433 TXP[59] 12 C1 0027003C:0027003C 0001 {02 05 00 00 00 00 00 00}'), null);
+  });
+
+  test('debug output watcher should apply new gateway moves once', async () => {
+    const logs = [
+      '["11:31:49.595 SRV SetPos [1]\\n11:31:52.599 SCH ExeNextAct 1-WAY: ACTMASK[00000001] BANK[1] CH[00000001] PCT 100"]',
+      '["11:31:52.599 SCH ExeNextAct 1-WAY: ACTMASK[00000001] BANK[1] CH[00000001] PCT 100\\n11:32:01.742 SCH ExeNextAct 1-WAY: ACTMASK[00000003] BANK[1] CH[00000003] PCT 40\\n11:32:01.750 W433 TXP[59] 12 C1 0027003C:0027003C 0003 {02 04 40 28 00 00 00 00}"]',
+    ];
+    const notified = [];
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      gateways: [{
+        host: '192.168.1.10',
+        serial: 'gw1',
+        discoverChannels: false,
+        shades: [{ name: 'Left', channel: 1 }, { name: 'Right', channel: 2 }],
+      }],
+      onRemoteMove: (shades) => notified.push(shades.map((shade) => shade.name)),
+      requestFn: async () => logs.shift(),
+    });
+    const gateway = api.gateways[0];
+
+    assert.deepStrictEqual(await api.pollDebugOutput(gateway), []);
+    const events = await api.pollDebugOutput(gateway);
+
+    assert.strictEqual(events.length, 2);
+    assert.deepStrictEqual(notified, [['Left', 'Right']]);
+    assert.strictEqual(api.getState(api.findShade('Left')).target_position, 40);
+    assert.strictEqual(api.getState(api.findShade('Right')).current_position, 40);
+  });
+
+  test('debug output watcher should follow RF-PROTOCOL.md Example 1 to 100%', async () => {
+    const example1 = [
+      '11:31:49.595 SRV SetPos [4]',
+      '11:31:52.599 SCH ExeNextAct 1-WAY: ACTMASK[00000008] BANK[1] CH[00000008] PCT 100',
+      '11:31:52.607 W433 TXP[56] 12 C1 0027003C:0027003C 0008 {02 04 40 00 00 00 00 00}',
+    ];
+    const logs = ['["11:31:40.000 SRV GetStat [0]"]', JSON.stringify([example1.join('\n')])];
+    const notified = [];
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      gateways: [{
+        host: '192.168.1.10',
+        serial: 'gw1',
+        discoverChannels: false,
+        shades: [{ name: 'Office', channel: 4 }],
+      }],
+      onRemoteMove: (shades) => notified.push(shades.map((shade) => shade.name)),
+      requestFn: async (_gateway, query) => (query === 'var=dbg_out' ? logs.shift() : '["0:0:0:0"]'),
+    });
+    const gateway = api.gateways[0];
+    await api.refreshShadeStates();
+
+    await api.pollDebugOutput(gateway);
+    await api.pollDebugOutput(gateway);
+
+    const state = api.getState(api.findShade('Office'));
+    assert.strictEqual(state.target_position, 100);
+    assert.strictEqual(state.direction, 'closing');
+    assert.deepStrictEqual(notified, [['Office']]);
+  });
+
+  test('debug output watcher should not report moves this client sent as remote', async () => {
+    const logs = [
+      '[""]',
+      '["11:31:52.599 SCH ExeNextAct 1-WAY: ACTMASK[00000008] BANK[1] CH[00000008] PCT 100\n11:31:52.607 W433 TXP[56] 12 C1 0027003C:0027003C 0008 {02 04 40 00 00 00 00 00}"]',
+      '["11:31:52.607 W433 TXP[56] 12 C1 0027003C:0027003C 0008 {02 04 40 00 00 00 00 00}\n11:31:52.700 W433 TXP[57] 12 C1 0027003C:0027003C 0008 {02 04 40 00 00 00 00 00}"]',
+    ];
+    const notified = [];
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      gateways: [{
+        host: '192.168.1.10',
+        serial: 'gw1',
+        discoverChannels: false,
+        shades: [{ name: 'Office', channel: 4 }],
+      }],
+      onRemoteMove: (shades) => notified.push(shades.map((shade) => shade.name)),
+      requestFn: async (_gateway, query) => (query === 'var=dbg_out' ? logs.shift() : '["0:0:0:0"]'),
+      sendUdpFn: async (args) => ({ packet: args.packet, response: args.packet }),
+    });
+    const gateway = api.gateways[0];
+    await api.refreshShadeStates();
+    await api.pollDebugOutput(gateway);
+
+    await api.moveShade('Office', 100);
+    await api.pollDebugOutput(gateway);
+    await api.pollDebugOutput(gateway);
+
+    assert.deepStrictEqual(notified, []);
+    assert.strictEqual(api.getState(api.findShade('Office')).target_position, 100);
+  });
+
+  test('an RF frame without a matching schedule line should only mark the channel for a refresh', async () => {
+    const logs = [
+      '[""]',
+      '["11:32:01.750 W433 TXP[59] 12 C1 0027003C:0027003C 0008 {02 04 40 32 00 00 00 00}"]',
+    ];
+    const notified = [];
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      gateways: [{
+        host: '192.168.1.10',
+        serial: 'gw1',
+        discoverChannels: false,
+        shades: [{ name: 'Office', channel: 4 }],
+      }],
+      onRemoteMove: (shades) => notified.push(shades.map((shade) => shade.name)),
+      requestFn: async (_gateway, query) => (query === 'var=dbg_out' ? logs.shift() : '["0:0:0:20"]'),
+    });
+    const gateway = api.gateways[0];
+    await api.refreshShadeStates();
+    await api.pollDebugOutput(gateway);
+
+    await api.pollDebugOutput(gateway);
+
+    const state = api.getState(api.findShade('Office'));
+    assert.strictEqual(state.target_position, 20);
+    assert.strictEqual(state.moving, false);
+    assert.strictEqual(gateway.lastStatusRefresh, 0);
+    assert.deepStrictEqual(notified, [['Office']]);
+  });
+
+  test('parseGatewayMetadata should decode gateway diagnostics', () => {
+    assert.deepStrictEqual(parseGatewayMetadata('["226","2","1","1","-58"]'), {
+      version: '226',
+      firmwarePage: '2',
+      networkStatus: '1',
+      rfStatus: '1',
+      rssi: -58,
+    });
+    assert.strictEqual(parseGatewayMetadata('["226"]').rssi, null);
+  });
+
+  test('gateway health should go offline after consecutive refresh failures', async () => {
+    let online = false;
+    const queries = [];
+    const responses = {
+      percent: '["50"]',
+      battery: '["0"]',
+      rx: '["0"]',
+      rfdevs: '["0"]',
+      'version,curfwpg,netsts,rfsts,rssi': '["226","2","1","1","-61"]',
+    };
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      offlineAfterFailures: 2,
+      gateways: [{
+        host: '192.168.1.10',
+        serial: 'gw1',
+        discoverChannels: false,
+        shades: [{ name: 'Left', channel: 1 }],
+      }],
+      requestFn: async (_gateway, query) => {
+        queries.push(query);
+        if (!online) throw new Error('connect ETIMEDOUT');
+        return responses[query.replace('var=', '')];
+      },
+    });
+
+    await api.refreshShadeStates();
+    assert.strictEqual((await api.getGatewayHealth())[0].reachable, true);
+    await api.refreshShadeStates();
+    let [health] = await api.getGatewayHealth();
+    assert.strictEqual(health.reachable, false);
+    assert.strictEqual(health.consecutiveFailures, 2);
+    assert.strictEqual(health.lastError, 'connect ETIMEDOUT');
+    assert.strictEqual(api.decorateShade(api.findShade('Left')).reachable, false);
+
+    online = true;
+    await api.refreshShadeStates();
+    [health] = await api.getGatewayHealth();
+    assert.strictEqual(health.reachable, true);
+    assert.strictEqual(health.consecutiveFailures, 0);
+    assert.strictEqual(health.version, '226');
+    assert.strictEqual(health.rssi, -61);
+    assert.strictEqual(queries.filter((query) => query.startsWith('var=version')).length, 1);
+  });
+
+  test('gateways with a serial should be looked up again when their address changes', async () => {
+    const lookups = [];
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      offlineAfterFailures: 1,
+      gateways: [{
+        host: '192.168.1.10',
+        serial: '00:1E:C0:AA:BB:CC',
+        discoverChannels: false,
+        shades: [{ name: 'Left', channel: 1 }],
+      }],
+      resolveGatewayHost: async (gateway) => {
+        lookups.push(gateway.serial);
+        return '192.168.1.77';
+      },
+      requestFn: async (gateway, query) => {
+        if (gateway.host !== '192.168.1.77') throw new Error('connect EHOSTUNREACH');
+        return query === 'var=percent' ? '["30"]' : '["0"]';
+      },
+    });
+    const shadeId = api.findShade('Left').id;
+
+    // The lookup runs beside the poll, and the next refresh reads the new host.
+    await api.refreshShadeStates();
+    assert.ok(api.gateways[0].relocation);
+    assert.strictEqual(await api.gateways[0].relocation, true);
+    await api.refreshShadeStates();
+
+    assert.deepStrictEqual(lookups, ['00:1E:C0:AA:BB:CC']);
+    assert.strictEqual(api.gateways[0].host, '192.168.1.77');
+    assert.strictEqual(api.findShade('Left').id, shadeId);
+    assert.strictEqual(api.decorateShade(api.findShade('Left')).reachable, true);
+    assert.strictEqual(api.getState(api.findShade('Left')).current_position, 30);
+
+    api.gateways[0].host = '192.168.1.10';
+    api.gateways[0].lastStatusRefresh = 0;
+    await api.refreshShadeStates();
+    await api.gateways[0].relocation;
+    assert.strictEqual(lookups.length, 1, 'lookups are rate limited');
+  });
+
+  test('gateway lookups should not hold up the poll and should back off when they find nothing', async () => {
+    let finishLookup;
+    let lookups = 0;
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      offlineAfterFailures: 1,
+      relocateIntervalMs: 1000,
+      gateways: [{
+        host: '192.168.1.10',
+        serial: '00:1E:C0:AA:BB:CC',
+        discoverChannels: false,
+        shades: [{ name: 'Left', channel: 1 }],
+      }],
+      resolveGatewayHost: () => {
+        lookups += 1;
+        return new Promise((resolve) => { finishLookup = resolve; });
+      },
+      requestFn: async () => {
+        throw new Error('connect EHOSTUNREACH');
+      },
+    });
+    const gateway = api.gateways[0];
+
+    // The refresh returns while the lookup is still running.
+    await api.refreshShadeStates();
+    assert.strictEqual(lookups, 1);
+    assert.ok(gateway.relocation);
+
+    // A second poll does not start another lookup while one is pending.
+    gateway.lastStatusRefresh = 0;
+    await api.refreshShadeStates();
+    assert.strictEqual(lookups, 1);
+
+    finishLookup(null);
+    assert.strictEqual(await gateway.relocation, false);
+    assert.strictEqual(gateway.relocation, null);
+    assert.strictEqual(gateway.relocateDelayMs, 2000);
+
+    // The doubled delay applies to the next lookup.
+    gateway.lastRelocateAttempt = Date.now() - 1500;
+    await api.refreshShadeStates();
+    assert.strictEqual(lookups, 1);
+    gateway.lastRelocateAttempt = Date.now() - 2500;
+    await api.refreshShadeStates();
+    assert.strictEqual(lookups, 2);
+    finishLookup(null);
+    await gateway.relocation;
+    assert.strictEqual(gateway.relocateDelayMs, 4000);
+  });
+
+  test('UDP commands should retry until the gateway returns a valid echo', async () => {
+    const sent = [];
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      gateways: [{
+        host: '192.168.1.10',
+        serial: 'gw1',
+        discoverChannels: false,
+        udpRetryNewSequence: true,
+        shades: [{ name: 'Left', channel: 1 }],
+      }],
+      requestFn: async () => '["-1"]',
+      sendUdpFn: async (args) => {
+        sent.push(args.packet);
+        if (sent.length === 1) return { packet: args.packet, response: null, timedOut: true };
+        if (sent.length === 2) return { packet: args.packet, response: Buffer.from('0000', 'hex') };
+        return { packet: args.packet, response: args.packet };
+      },
+    });
+
+    await api.moveShade('Left', 40);
+
+    assert.strictEqual(sent.length, 3);
+    assert.deepStrictEqual(sent.map((packet) => packet[5]), [sent[0][5], (sent[0][5] + 1) & 0xff, (sent[0][5] + 2) & 0xff]);
+    assert.strictEqual(api.getState(api.findShade('Left')).target_position, 40);
+  });
+
+  test('UDP commands should retry when sending fails', async () => {
+    let attempts = 0;
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      gateways: [{ host: '192.168.1.10', serial: 'gw1', discoverChannels: false, shades: [{ name: 'Left', channel: 1 }] }],
+      requestFn: async () => '["-1"]',
+      sendUdpFn: async (args) => {
+        attempts += 1;
+        if (attempts === 1) throw new Error('send EHOSTUNREACH 192.168.1.10:42');
+        return { packet: args.packet, response: args.packet };
+      },
+    });
+
+    await api.moveShade('Left', 40);
+
+    assert.strictEqual(attempts, 2);
+    assert.strictEqual(api.getState(api.findShade('Left')).target_position, 40);
+  });
+
+  test('UDP commands should rethrow the send error once retries run out', async () => {
+    let attempts = 0;
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      gateways: [{ host: '192.168.1.10', serial: 'gw1', discoverChannels: false, udpRetries: 1, shades: [{ name: 'Left', channel: 1 }] }],
+      requestFn: async () => '["-1"]',
+      sendUdpFn: async () => {
+        attempts += 1;
+        throw new Error('send EHOSTUNREACH 192.168.1.10:42');
+      },
+    });
+
+    await assert.rejects(api.moveShade('Left', 40), /^Error: send EHOSTUNREACH/);
+    assert.strictEqual(attempts, 2);
+  });
+
+  test('UDP commands should reject when no valid echo arrives', async () => {
+    let attempts = 0;
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      gateways: [{
+        host: '192.168.1.10',
+        serial: 'gw1',
+        discoverChannels: false,
+        udpRetries: 1,
+        shades: [{ name: 'Left', channel: 1, assumePosition: 0 }],
+      }],
+      requestFn: async () => '["-1"]',
+      sendUdpFn: async (args) => {
+        attempts += 1;
+        const response = Buffer.from(args.packet);
+        response[5] ^= 0xff;
+        return { packet: args.packet, response };
+      },
+    });
+
+    await assert.rejects(api.moveShade('Left', 40), /did not acknowledge UDP command after 2 attempt\(s\): invalid response: Packet checksum mismatch/);
+    assert.strictEqual(attempts, 2);
+    assert.strictEqual(api.getState(api.findShade('Left')).target_position, 0);
+  });
+
+  test('local groups should resolve members across gateways', async () => {
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      gateways: [
+        {
+          host: '192.168.1.10',
+          serial: 'gw1',
+          discoverChannels: false,
+          shades: [{ name: 'Left', channel: 1 }, { name: 'Right', channel: 2, id: 'right' }],
+          groups: [{ name: 'Kitchen', channels: [1, 2, 2, 40] }],
+        },
+        { host: '192.168.1.11', serial: 'gw2', discoverChannels: false },
+      ],
+      groups: [
+        { name: 'Everything', members: [{ gateway: 'gw1', channel: 1 }, { gateway: '192.168.1.11', channel: 7 }] },
+        { name: 'Ambiguous', channels: [3] },
+      ],
+    });
+
+    const groups = await api.getGroups();
+
+    assert.deepStrictEqual(groups.map((group) => [group.id, group.name, group.shades]), [
+      ['local-group-gw1-Kitchen', 'Kitchen', ['local-gw1-1', 'right']],
+      ['local-group-Everything', 'Everything', ['local-gw1-1', 'local-gw2-7']],
+    ]);
+  });
+
+  test('local groups with the same name should get distinct ids', async () => {
+    const warnings = [];
+    const api = new LocalPowerShadesApi({
+      logger: { ...silentLogger, warn: (message) => warnings.push(message) },
+      gateways: [
+        { host: '192.168.1.10', serial: 'gw1', discoverChannels: false, groups: [{ name: 'Windows', channels: [1, 2] }] },
+        { host: '192.168.1.11', serial: 'gw2', discoverChannels: false, groups: [{ name: 'Windows', channels: [3] }] },
+      ],
+      groups: [
+        { name: 'Windows', members: [{ gateway: 'gw1', channel: 1 }, { gateway: 'gw2', channel: 3 }] },
+        { name: 'Windows', members: [{ gateway: 'gw2', channel: 4 }] },
+      ],
+    });
+
+    const groups = await api.getGroups();
+
+    assert.deepStrictEqual(groups.map((group) => [group.id, group.shades]), [
+      ['local-group-gw1-Windows', ['local-gw1-1', 'local-gw1-2']],
+      ['local-group-gw2-Windows', ['local-gw2-3']],
+      ['local-group-Windows', ['local-gw1-1', 'local-gw2-3']],
+    ]);
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /duplicate local group "Windows"/);
+  });
+
+  test('moveGroup should fan out set-position packets to every member', async () => {
+    const sent = [];
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      gateways: [
+        { host: '192.168.1.10', serial: 'gw1', discoverChannels: false, shades: [{ name: 'Left', channel: 1 }] },
+        { host: '192.168.1.11', serial: 'gw2', discoverChannels: false },
+      ],
+      groups: [{ id: 'all', name: 'All', members: [{ gateway: 'gw1', channel: 1 }, { gateway: 'gw2', channel: 7 }] }],
+      requestFn: async () => '["0"]',
+      sendUdpFn: async (args) => {
+        sent.push(args);
+        return { packet: args.packet, response: args.packet };
+      },
+    });
+
+    await api.moveGroup('all', 30);
+
+    assert.deepStrictEqual(sent.map((args) => [args.host, args.packet.readUInt16LE(6), args.packet.readUInt16LE(10)]), [
+      ['192.168.1.10', 1, 30],
+      ['192.168.1.11', 7, 30],
+    ]);
+    assert.strictEqual(api.getState(api.findShade('Left')).target_position, 30);
+    await assert.rejects(api.moveGroup('missing', 30), /Unknown local group/);
+  });
+
+  test('moveGroup should reject when any member command fails', async () => {
+    const api = new LocalPowerShadesApi({
+      logger: silentLogger,
+      gateways: [{ host: '192.168.1.10', serial: 'gw1', discoverChannels: false, groups: [{ name: 'Pair', channels: [1, 2] }] }],
+      sendUdpFn: async (args) => {
+        if (args.packet.readUInt16LE(6) === 2) throw new Error('EHOSTUNREACH');
+        return { packet: args.packet, response: args.packet };
+      },
+    });
+
+    await assert.rejects(api.moveGroup('local-group-gw1-Pair', 50), /1\/2 channels: 192\.168\.1\.10 channel 2: EHOSTUNREACH/);
+  });
+
   test('normalizeGatewayChannelName should ignore default channel names', () => {
     assert.strictEqual(normalizeGatewayChannelName('Channel 4', 4), null);
     assert.strictEqual(normalizeGatewayChannelName("Guest Bath", 4), "Guest Bath");
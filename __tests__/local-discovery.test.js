@@ -0,0 +1,139 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  LocalDiscoveryError,
+  createGatewayHostResolver,
+  findGatewayHost,
+  listScanTargets,
+  parseCidr,
+  readArpTable,
+  scanForGateways,
+} = require('../local-discovery.js');
+const { PowerShadesGatewaySimulator } = require('../tools/powershades-gateway-simulator.js');
+
+describe('local gateway discovery', () => {
+  test('listScanTargets should sweep the /24 around each LAN interface', () => {
+    const targets = listScanTargets({
+      interfaces: {
+        lo: [{ address: '127.0.0.1', netmask: '255.0.0.0', family: 'IPv4', internal: true }],
+        eth0: [
+          { address: '10.20.30.40', netmask: '255.255.0.0', family: 'IPv4', internal: false },
+          { address: 'fe80::1', netmask: 'ffff:ffff:ffff:ffff::', family: 'IPv6', internal: false },
+        ],
+      },
+    });
+
+    assert.strictEqual(targets.length, 253);
+    assert.deepStrictEqual(targets[0], { host: '10.20.30.1', localAddress: '10.20.30.40' });
+    assert.ok(!targets.some((target) => target.host === '10.20.30.40'));
+    assert.ok(!targets.some((target) => target.host === '10.20.30.255'));
+  });
+
+  test('parseCidr should reject subnets that are too large to sweep', () => {
+    assert.throws(() => parseCidr('10.0.0.0/16'), LocalDiscoveryError);
+    assert.throws(() => parseCidr('not-an-address/24'), /Invalid subnet/);
+    assert.strictEqual(listScanTargets({ subnets: ['192.168.1.0/22'] }).length, 1022);
+  });
+
+  test('scanForGateways should keep only hosts that answer gateway status', async () => {
+    const gateways = await scanForGateways({
+      subnets: ['192.168.1.0/29'],
+      requestFn: async (gateway) => {
+        if (gateway.host === '192.168.1.3') return '["226","2","Connected","OK","-48"]';
+        if (gateway.host === '192.168.1.5') return '<html>router</html>';
+        throw new Error('connect ECONNREFUSED');
+      },
+      readArpTableFn: () => new Map([['192.168.1.3', '00:1e:c0:aa:bb:cc']]),
+    });
+
+    assert.deepStrictEqual(gateways, [{
+      host: '192.168.1.3',
+      localAddress: null,
+      version: '226',
+      firmwarePage: '2',
+      networkStatus: 'Connected',
+      rfStatus: 'OK',
+      rssi: -48,
+      mac: '00:1e:c0:aa:bb:cc',
+    }]);
+  });
+
+  test('readArpTable should skip incomplete entries', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'powershades-arp-'));
+    try {
+      const arpPath = path.join(dir, 'arp');
+      fs.writeFileSync(arpPath, [
+        'IP address       HW type     Flags       HW address            Mask     Device',
+        '192.168.1.3      0x1         0x2         00:1E:C0:AA:BB:CC     *        eth0',
+        '192.168.1.9      0x1         0x0         00:00:00:00:00:00     *        eth0',
+      ].join('\n'));
+
+      assert.deepStrictEqual([...readArpTable(arpPath)], [['192.168.1.3', '00:1e:c0:aa:bb:cc']]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('findGatewayHost should match a serial against cloud and scan identifiers', () => {
+    assert.strictEqual(findGatewayHost([
+      { serial: 'GW-OTHER', ip_address: '192.168.1.20' },
+      { serial_number: 'GW-A', ip_address: '192.168.1.21' },
+    ], 'gw-a'), '192.168.1.21');
+    assert.strictEqual(findGatewayHost([{ host: '192.168.1.22', mac: '00:1e:c0:aa:bb:cc' }], '001EC0AABBCC'), '192.168.1.22');
+    assert.strictEqual(findGatewayHost([{ host: '192.168.1.22', mac: null }], ''), null);
+  });
+
+  test('createGatewayHostResolver should fall back to a LAN scan when the cloud has no match', async () => {
+    const scans = [];
+    const resolve = createGatewayHostResolver({
+      cloudApi: { getGateways: async () => [{ serial: 'GW-B', ip_address: '192.168.1.30' }] },
+      scanFn: async (options) => {
+        scans.push(options);
+        return [{ host: '192.168.1.31', mac: '00:1e:c0:aa:bb:cc' }];
+      },
+      arpTableAvailable: () => true,
+    });
+
+    assert.strictEqual(await resolve({ serial: 'GW-B' }), '192.168.1.30');
+    assert.strictEqual(scans.length, 0);
+    assert.strictEqual(await resolve({ serial: '00-1E-C0-AA-BB-CC', httpPort: 8080 }), '192.168.1.31');
+    assert.strictEqual(scans[0].httpPort, 8080);
+  });
+
+  test('createGatewayHostResolver should not sweep the LAN when a scan cannot match', async () => {
+    let scans = 0;
+    const scanFn = async () => {
+      scans += 1;
+      return [{ host: '192.168.1.31', mac: '00:1e:c0:aa:bb:cc' }];
+    };
+
+    // A serial that is not a MAC address never appears in scan results.
+    const withArp = createGatewayHostResolver({ scanFn, arpTableAvailable: () => true });
+    assert.strictEqual(await withArp({ serial: 'GW-B' }), null);
+
+    // Without an ARP table, scan results carry no MAC address at all.
+    const withoutArp = createGatewayHostResolver({ scanFn, arpTableAvailable: () => false });
+    assert.strictEqual(await withoutArp({ serial: '00:1e:c0:aa:bb:cc' }), null);
+    assert.strictEqual(scans, 0);
+  });
+
+  test('scanForGateways should find the gateway simulator over HTTP', async () => {
+    const simulator = new PowerShadesGatewaySimulator();
+    const address = await simulator.start({ udpPort: 0, httpPort: 0 });
+    try {
+      const gateways = await scanForGateways({
+        hosts: ['127.0.0.1'],
+        httpPort: address.httpPort,
+        readArpTableFn: () => new Map(),
+      });
+      assert.strictEqual(gateways.length, 1);
+      assert.strictEqual(gateways[0].httpPort, address.httpPort);
+      assert.strictEqual(gateways[0].version, '226');
+    } finally {
+      await simulator.stop();
+    }
+  });
+});
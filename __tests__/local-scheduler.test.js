@@ -0,0 +1,165 @@
+// Tests for the local scheduler: cron and sun rule timing, and running rules against a local API
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const {
+  LocalScheduler,
+  LocalSchedulerError,
+  getNextRunTime,
+  getSunTimes,
+  parseCronExpression,
+} = require('../local-scheduler.js');
+
+const silentLogger = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+function createApi() {
+  const calls = [];
+  return {
+    calls,
+    getGroups: async () => [{ id: 'local-group-1', name: 'All Bedrooms', shades: [] }],
+    moveShade: async (name, percentage) => {
+      if (name === 'Broken') throw new Error('no echo');
+      calls.push(['shade', name, percentage]);
+    },
+    moveGroup: async (id, percentage) => {
+      calls.push(['group', id, percentage]);
+    },
+  };
+}
+
+function minutesFromMs(ms) {
+  return ms / 60000;
+}
+
+describe('local scheduler timing', () => {
+  test('getSunTimes should match published times within two minutes', () => {
+    // New York on the June solstice: 05:25 and 20:31 EDT.
+    const newYork = getSunTimes(2024, 6, 21, 40.7128, -74.006);
+    assert.ok(Math.abs(minutesFromMs(newYork.sunrise - Date.UTC(2024, 5, 21, 9, 25))) < 2);
+    assert.ok(Math.abs(minutesFromMs(newYork.sunset - Date.UTC(2024, 5, 22, 0, 31))) < 2);
+
+    // Sydney on the December solstice: 05:41 and 20:05 AEDT.
+    const sydney = getSunTimes(2024, 12, 21, -33.8688, 151.2093);
+    assert.ok(Math.abs(minutesFromMs(sydney.sunrise - Date.UTC(2024, 11, 20, 18, 41))) < 2);
+    assert.ok(Math.abs(minutesFromMs(sydney.sunset - Date.UTC(2024, 11, 21, 9, 5))) < 2);
+
+    // Midnight sun in Svalbard.
+    assert.deepStrictEqual(getSunTimes(2024, 6, 21, 78.22, 15.65), { sunrise: null, sunset: null });
+  });
+
+  test('getNextRunTime should follow cron fields in local time', () => {
+    const weekdays = { trigger: 'cron', cron: parseCronExpression('30 7 * * mon-fri') };
+    // Friday 21 June 2024 after 07:30 runs next on Monday.
+    assert.strictEqual(
+      getNextRunTime(weekdays, new Date(2024, 5, 21, 8, 0).getTime()),
+      new Date(2024, 5, 24, 7, 30).getTime()
+    );
+
+    const quarterHours = { trigger: 'cron', cron: parseCronExpression('*/15 9-10 * * *') };
+    assert.strictEqual(
+      getNextRunTime(quarterHours, new Date(2024, 5, 21, 9, 15).getTime()),
+      new Date(2024, 5, 21, 9, 30).getTime()
+    );
+
+    // With both day fields restricted, either one matching is enough.
+    const firstOrSunday = { trigger: 'cron', cron: parseCronExpression('0 12 1 * 7') };
+    assert.strictEqual(
+      getNextRunTime(firstOrSunday, new Date(2024, 5, 21, 0, 0).getTime()),
+      new Date(2024, 5, 23, 12, 0).getTime()
+    );
+
+    assert.throws(() => parseCronExpression('30 7 * *'), LocalSchedulerError);
+    assert.throws(() => parseCronExpression('61 7 * * *'), LocalSchedulerError);
+  });
+
+  test('getNextRunTime should apply sun offsets and weekday limits', () => {
+    const location = { latitude: 40.7128, longitude: -74.006 };
+    const rule = {
+      trigger: 'sunset',
+      offsetMs: -30 * 60000,
+      days: { values: new Set([6]), wildcard: false },
+    };
+    // Saturday 22 June 2024 is the first Saturday after the search starts.
+    const { sunset } = getSunTimes(2024, 6, 22, location.latitude, location.longitude);
+    const after = new Date(2024, 5, 19).getTime();
+
+    assert.strictEqual(getNextRunTime(rule, after, location), sunset - 30 * 60000);
+  });
+});
+
+describe('LocalScheduler', () => {
+  test('should run due rules against shades and local groups', async () => {
+    const api = createApi();
+    let time = new Date(2024, 5, 21, 7, 0).getTime();
+    const runs = [];
+    const scheduler = new LocalScheduler({
+      schedules: [{
+        name: 'Morning',
+        cron: '30 7 * * *',
+        position: 0,
+        shades: ['Kitchen', 'Broken'],
+        groups: ['All Bedrooms'],
+      }],
+      api,
+      logger: silentLogger,
+      onRun: (rule) => runs.push(rule.name),
+      now: () => time,
+      setTimer: () => null,
+      clearTimer: () => {},
+    });
+    scheduler.start();
+
+    assert.deepStrictEqual(await scheduler.runDue(), []);
+    time = new Date(2024, 5, 21, 7, 30).getTime();
+    assert.deepStrictEqual(await scheduler.runDue(), ['Morning']);
+
+    // The failing shade is logged; the others still move.
+    assert.deepStrictEqual(api.calls, [['shade', 'Kitchen', 0], ['group', 'local-group-1', 0]]);
+    assert.deepStrictEqual(runs, ['Morning']);
+    assert.strictEqual(scheduler.rules[0].nextRun, new Date(2024, 5, 22, 7, 30).getTime());
+  });
+
+  test('should skip a rule when shades were moved recently', async () => {
+    const api = createApi();
+    const time = new Date(2024, 5, 21, 21, 0).getTime();
+    let lastActivity = time - 10 * 60000;
+    const scheduler = new LocalScheduler({
+      schedules: [{ name: 'Night', cron: '0 21 * * *', position: 100, shades: ['Kitchen'], skipIfMovedWithinMinutes: 30 }],
+      api,
+      logger: silentLogger,
+      getLastActivityTime: () => lastActivity,
+      now: () => time,
+    });
+
+    assert.strictEqual(await scheduler.runRule(scheduler.rules[0], time), false);
+    assert.deepStrictEqual(api.calls, []);
+
+    lastActivity = time - 45 * 60000;
+    assert.strictEqual(await scheduler.runRule(scheduler.rules[0], time), true);
+    assert.deepStrictEqual(api.calls, [['shade', 'Kitchen', 100]]);
+  });
+
+  test('should ignore invalid and disabled rules', () => {
+    const warnings = [];
+    const scheduler = new LocalScheduler({
+      schedules: [
+        { name: 'No Targets', cron: '0 8 * * *', position: 0 },
+        { name: 'No Location', trigger: 'sunrise', position: 0, shades: ['Kitchen'] },
+        { name: 'Paused', enabled: false, cron: '0 8 * * *', position: 0, shades: ['Kitchen'] },
+        { name: 'Weekend Sunrise', trigger: 'sunrise', days: 'sat,sun', position: 0, shades: ['Kitchen'] },
+      ],
+      latitude: null,
+      api: createApi(),
+      logger: { ...silentLogger, warn: (message) => warnings.push(message) },
+    });
+
+    assert.deepStrictEqual(scheduler.rules, []);
+    assert.strictEqual(warnings.length, 3);
+    assert.match(warnings[1], /sunrise schedules need latitude and longitude/);
+  });
+});
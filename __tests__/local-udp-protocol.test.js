@@ -8,6 +8,10 @@ const {
   buildSetPositionPacket,
   checksumPacket,
   crc16Ccitt,
+  describeAckProblem,
+  describePacket,
+  parsePacket,
+  resequencePacket,
 } = require("../local-udp-protocol");
 
 describe("PowerShades local UDP protocol", () => {
@@ -56,6 +60,12 @@ describe("PowerShades local UDP protocol", () => {
     );
   });
 
+  test("buildRenameChannelPacket rejects names the gateway cannot report back", () => {
+    assert.throws(() => buildRenameChannelPacket({ channel: 1, name: "Küche" }), /printable ASCII/);
+    assert.throws(() => buildRenameChannelPacket({ channel: 1, name: "Bed: Left" }), /must not contain ':'/);
+    assert.throws(() => buildRenameChannelPacket({ channel: 1, name: "x".repeat(50) }), /49 ASCII bytes or fewer/);
+  });
+
   test("checksum is CRC-16/CCITT over bytes 4 through packet end", () => {
     const packet = Buffer.from("0a0009c61a63010001003200000000000000", "hex");
 
@@ -63,6 +73,68 @@ describe("PowerShades local UDP protocol", () => {
     assert.equal(checksumPacket(packet), packet.readUInt16LE(2));
   });
 
+  test("parsePacket decodes captured set-position, stop and rename packets", () => {
+    assert.deepEqual(parsePacket(Buffer.from("0a0051961a660f0001003200000000000000", "hex")), {
+      length: 10,
+      checksum: 0x9651,
+      command: 0x1a,
+      commandName: "set-position",
+      sequence: 0x66,
+      channel: 15,
+      payload: { type: "set-position", mode: 1, percent: 50 },
+      payloadHex: "01 00 32 00 00 00 00 00 00 00",
+    });
+
+    const stop = parsePacket(Buffer.from("0000434305710f00", "hex"));
+    assert.equal(stop.commandName, "stop");
+    assert.equal(stop.payload, null);
+    assert.equal(describePacket(stop), "stop channel 15 sequence 0x71");
+
+    const rename = parsePacket(buildRenameChannelPacket({ channel: 15, name: "Bedroom Window", sequence: 0x33 }));
+    assert.deepEqual(rename.payload, { type: "rename-channel", name: "Bedroom Window" });
+    assert.equal(describePacket(rename), 'rename-channel channel 15 sequence 0x33 "Bedroom Window"');
+  });
+
+  test("parsePacket rejects truncated and corrupted packets", () => {
+    const packet = Buffer.from("0a0051961a660f0001003200000000000000", "hex");
+    const corrupted = Buffer.from(packet);
+    corrupted[10] = 0x33;
+
+    assert.throws(() => parsePacket(packet.subarray(0, 4)), /too short/);
+    assert.throws(() => parsePacket(packet.subarray(0, 16)), /length field 10 does not match 8/);
+    assert.throws(() => parsePacket(corrupted), /checksum mismatch/);
+  });
+
+  test("describeAckProblem accepts a valid echo and explains bad ones", () => {
+    const packet = buildSetPositionPacket({ channel: 1, percent: 50, sequence: 0x63 });
+    const corrupted = Buffer.from(packet);
+    corrupted[10] = 0x33;
+
+    assert.equal(describeAckProblem(packet, Buffer.from(packet)), null);
+    assert.equal(describeAckProblem(packet, null), "no response");
+    assert.match(describeAckProblem(packet, packet.subarray(0, 6)), /invalid response: Packet too short/);
+    assert.match(describeAckProblem(packet, packet.subarray(0, 12)), /length field 10/);
+    assert.equal(describeAckProblem(packet, corrupted), "invalid response: Packet checksum mismatch");
+    assert.match(
+      describeAckProblem(packet, buildCommandPacket({ command: "stop", channel: 1, sequence: 0x63 })),
+      /command 0x05 does not match 0x1a/
+    );
+    assert.match(
+      describeAckProblem(packet, buildSetPositionPacket({ channel: 1, percent: 50, sequence: 0x64 })),
+      /sequence 0x64 does not match 0x63/
+    );
+  });
+
+  test("resequencePacket rewrites the sequence byte and checksum", () => {
+    const packet = buildSetPositionPacket({ channel: 1, percent: 50, sequence: 0x63 });
+
+    assert.deepEqual(
+      resequencePacket(packet, 0x65),
+      buildSetPositionPacket({ channel: 1, percent: 50, sequence: 0x65 })
+    );
+    assert.equal(packet[5], 0x63);
+  });
+
   test("validates unsafe inputs before building packets", () => {
     assert.throws(() => buildSetPositionPacket({ channel: 0, percent: 50, sequence: 1 }), /Channel/);
     assert.throws(() => buildSetPositionPacket({ channel: 1, percent: 101, sequence: 1 }), /Percent/);
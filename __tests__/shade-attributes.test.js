@@ -0,0 +1,50 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { indexShadeAttributes, mergeShadeAttributes } = require("../shade-attributes");
+const { shouldExposeBatteryService } = require("../power-source");
+
+test("shade attributes are read from one record per attribute", () => {
+  const attributes = indexShadeAttributes([
+    { id: 1, shade: 101, attribute: "Battery Voltage", value: "7.9" },
+    { id: 2, shade: 101, attribute: "power_source", value: "Rechargeable battery" },
+    { id: 3, shade: 101, attribute: "RSSI", value: "-61" },
+    { id: 4, shade: 101, attribute: "FirmwareVersion", value: " 2.14 " },
+    { id: 5, shade: 102, attribute: "PowerSource", value: "Hardwired 24V" },
+    { id: 6, shade: 102, attribute: "Color", value: "White" },
+  ]);
+
+  assert.deepEqual(attributes.get("101"), {
+    batteryMillivolts: 7900,
+    powerSource: "battery",
+    rx: -61,
+    firmwareVersion: "2.14",
+  });
+  assert.deepEqual(attributes.get("102"), { powerSource: "hardwired" });
+});
+
+test("shade attributes are read from one record per shade", () => {
+  const attributes = indexShadeAttributes([{ id: 101, battery: 85, signal_strength: -70, voltage: 12100 }]);
+  assert.deepEqual(attributes.get("101"), { batteryLevel: 85, rx: -70, batteryMillivolts: 12100 });
+});
+
+test("merged cloud shades drive the same power-source inference as local shades", () => {
+  const [kitchen, office, den, garage] = mergeShadeAttributes([
+    { id: 101, name: "Kitchen" },
+    { id: 102, name: "Office" },
+    { id: 103, name: "Den" },
+    { id: 104, name: "Garage" },
+  ], [
+    { shade: 101, attribute: "BatteryVoltage", value: "7.9" },
+    { shade: 102, attribute: "BatteryVoltage", value: "12.3" },
+    { shade: 103, attribute: "BatteryLevel", value: "40" },
+  ]);
+
+  assert.equal(kitchen.powerSource, "auto");
+  assert.equal(shouldExposeBatteryService(kitchen.powerSource, kitchen.batteryMillivolts), true);
+  assert.equal(shouldExposeBatteryService(office.powerSource, office.batteryMillivolts), false);
+  assert.equal(den.powerSource, "battery");
+  assert.equal(den.batteryLevel, 40);
+  assert.deepEqual(garage, { id: 104, name: "Garage" });
+});
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// Checks the scene activation endpoint used by experimentalSceneSwitches against the live PowerShades API.
+// Lists scenes; with POWERSHADES_SCENE set, runs that scene, which moves real shades.
+
+const { PowerShadesApi } = require("../api");
+
+async function main() {
+  const email = process.env.POWERSHADES_EMAIL;
+  const password = process.env.POWERSHADES_PASSWORD;
+  const apiToken = process.env.POWERSHADES_API_TOKEN;
+  const baseUrl = process.env.POWERSHADES_BASE_URL;
+  const sceneName = process.env.POWERSHADES_SCENE;
+  if (!apiToken && (!email || !password)) {
+    console.error("Set POWERSHADES_EMAIL and POWERSHADES_PASSWORD, or POWERSHADES_API_TOKEN");
+    process.exit(1);
+  }
+
+  const api = new PowerShadesApi({ email, password, apiToken, baseUrl, logger: console });
+  const scenes = await api.getScenes();
+  console.log(`Base URL used: ${api.activeBase}`);
+  console.log(`Scenes (${scenes.length}):`);
+  for (const scene of scenes) {
+    console.log(`  ${JSON.stringify(scene)}`);
+  }
+
+  if (!sceneName) {
+    console.log("\nSet POWERSHADES_SCENE to a scene name to try POST /scenes/<id>/activate/.");
+    return;
+  }
+  const scene = scenes.find((candidate) => candidate.name === sceneName);
+  if (!scene) {
+    console.error(`No scene named "${sceneName}"`);
+    process.exit(1);
+  }
+
+  console.log(`\nPOST /scenes/${scene.id}/activate/`);
+  try {
+    const result = await api.request("post", `/scenes/${scene.id}/activate/`);
+    console.log(`OK: ${JSON.stringify(result)}`);
+  } catch (err) {
+    console.log(`FAILED: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((err) => {
+  console.error("Test failed:", err);
+  process.exit(1);
+});
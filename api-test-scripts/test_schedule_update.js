@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// Checks the schedule update endpoint used by experimentalScheduleSwitches against the live PowerShades API.
+// Lists schedules; with POWERSHADES_SCHEDULE set, toggles that schedule's enabled flag and then restores it.
+
+const { PowerShadesApi } = require("../api");
+
+async function main() {
+  const email = process.env.POWERSHADES_EMAIL;
+  const password = process.env.POWERSHADES_PASSWORD;
+  const apiToken = process.env.POWERSHADES_API_TOKEN;
+  const baseUrl = process.env.POWERSHADES_BASE_URL;
+  const scheduleName = process.env.POWERSHADES_SCHEDULE;
+  if (!apiToken && (!email || !password)) {
+    console.error("Set POWERSHADES_EMAIL and POWERSHADES_PASSWORD, or POWERSHADES_API_TOKEN");
+    process.exit(1);
+  }
+
+  const api = new PowerShadesApi({ email, password, apiToken, baseUrl, logger: console });
+  const schedules = await api.getSchedules();
+  console.log(`Base URL used: ${api.activeBase}`);
+  console.log(`Schedules (${schedules.length}):`);
+  for (const schedule of schedules) {
+    console.log(`  ${JSON.stringify(schedule)}`);
+  }
+
+  if (!scheduleName) {
+    console.log("\nSet POWERSHADES_SCHEDULE to a schedule name to try PATCH /schedules/<id>/ with {\"enabled\": ...}.");
+    return;
+  }
+  const schedule = schedules.find((candidate) => candidate.name === scheduleName);
+  if (!schedule) {
+    console.error(`No schedule named "${scheduleName}"`);
+    process.exit(1);
+  }
+
+  const original = schedule.enabled !== false;
+  const path = `/schedules/${schedule.id}/`;
+  try {
+    console.log(`\nPATCH ${path} {"enabled": ${!original}}`);
+    const updated = await api.request("patch", path, { json: { enabled: !original } });
+    console.log(`Response: ${JSON.stringify(updated)}`);
+    const [reread] = (await api.getSchedules()).filter((candidate) => candidate.id === schedule.id);
+    console.log(`Re-read: ${JSON.stringify(reread)}`);
+    if (reread?.enabled === !original) {
+      console.log("OK: the schedule reports the new enabled flag");
+    } else {
+      console.log("FAILED: the schedule did not change");
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.log(`FAILED: ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    try {
+      await api.request("patch", path, { json: { enabled: original } });
+      console.log(`Restored enabled=${original}`);
+    } catch (err) {
+      console.log(`Could not restore enabled=${original}: ${err.message}; check the schedule in the dashboard`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+main().catch((err) => {
+  console.error("Test failed:", err);
+  process.exit(1);
+});
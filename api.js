@@ -4,6 +4,7 @@ const https = require('https');
 const http = require('http');
 
 const DEFAULT_BASE = "https://api.powershades.com";
+const DEFAULT_REQUEST_TIMEOUT_MS = 15000;
 
 // HTTP agent with keep-alive for connection reuse
 const httpsAgent = new https.Agent({
@@ -31,7 +32,8 @@ class PowerShadesApi {
     logger = console,
     maxAuthFailures = 3,
     authFailureBackoffMs = 60000,
-    maxBackoffMs = 3600000
+    maxBackoffMs = 3600000,
+    requestTimeoutMs = DEFAULT_REQUEST_TIMEOUT_MS
   }) {
     this.email = email;
     this.password = password;
@@ -41,6 +43,7 @@ class PowerShadesApi {
     this.accessToken = apiToken || null; // Use API token directly if provided
     this.refreshToken = null;
     this.activeBase = null;
+    this.requestTimeoutMs = Math.max(Number(requestTimeoutMs) || DEFAULT_REQUEST_TIMEOUT_MS, 1000);
 
     // Auth failure tracking for circuit breaker
     this.consecutiveAuthFailures = 0;
@@ -215,6 +218,15 @@ class PowerShadesApi {
     return [];
   }
 
+  async activateScene(sceneId) {
+    // Not in the published API docs; confirm with api-test-scripts/test_scene_activation.js.
+    try {
+      return await this.request("post", `/scenes/${sceneId}/activate/`);
+    } catch (err) {
+      throw describeUnsupportedEndpoint(err, "Scene activation");
+    }
+  }
+
   async getSchedules() {
     const data = await this.request("get", "/schedules/");
     if (Array.isArray(data)) return data;
@@ -222,6 +234,37 @@ class PowerShadesApi {
     return [];
   }
 
+  async updateSchedule(scheduleId, changes) {
+    // Not in the published API docs; confirm with api-test-scripts/test_schedule_update.js.
+    try {
+      return await this.request("patch", `/schedules/${scheduleId}/`, {
+        json: changes,
+      });
+    } catch (err) {
+      throw describeUnsupportedEndpoint(err, "Schedule updates");
+    }
+  }
+
+  async setScheduleEnabled(scheduleId, enabled) {
+    const schedule = await this.updateSchedule(scheduleId, { enabled: Boolean(enabled) });
+    // An API that ignores an unknown field still answers 200, so the echoed schedule must show the change.
+    if (schedule?.enabled !== Boolean(enabled)) {
+      throw new PowerShadesApiError(
+        `Schedule ${scheduleId} did not report enabled=${Boolean(enabled)} after the update ` +
+        "(schedule switches use an unverified PowerShades endpoint and field; " +
+        "please report this with the output of api-test-scripts/test_schedule_update.js)"
+      );
+    }
+    return schedule;
+  }
+
+  async getGateways() {
+    const data = await this.request("get", "/gateways/");
+    if (Array.isArray(data)) return data;
+    if (data && Array.isArray(data.results)) return data.results;
+    return [];
+  }
+
   async getGroups() {
     const data = await this.request("get", "/groups/");
     if (Array.isArray(data)) return data;
@@ -248,12 +291,22 @@ class PowerShadesApi {
     }
 
     const agent = url.startsWith('https') ? httpsAgent : httpAgent;
-    const res = await fetch(url, {
-      method: method.toUpperCase(),
-      headers: mergedHeaders,
-      body: json ? JSON.stringify(json) : undefined,
-      agent,
-    });
+    let res;
+    try {
+      res = await fetch(url, {
+        method: method.toUpperCase(),
+        headers: mergedHeaders,
+        body: json ? JSON.stringify(json) : undefined,
+        agent,
+        signal: AbortSignal.timeout(this.requestTimeoutMs),
+      });
+    } catch (err) {
+      // A hung request would otherwise stall polling until the socket is torn down
+      if (err?.name === "TimeoutError") {
+        throw new PowerShadesApiError(`Request to ${path} timed out after ${this.requestTimeoutMs}ms`);
+      }
+      throw err;
+    }
 
     // Handle 401 with token refresh (only if using email/password auth)
     if (res.status === 401 && useAuth && retryOn401) {
@@ -302,6 +355,15 @@ class PowerShadesApi {
   }
 }
 
+function describeUnsupportedEndpoint(err, feature) {
+  // A 404 may also be a deleted item, so the original error stays in the message.
+  if (!/API error (404|405)/.test(err?.message || "")) return err;
+  return new PowerShadesApiError(
+    `${err.message} (${feature} uses an unverified PowerShades endpoint that this cloud may not support; ` +
+    "please report this with the output of the matching api-test-scripts probe)"
+  );
+}
+
 function dedupeCandidates(rawBase) {
   const trimmed = (rawBase || DEFAULT_BASE).replace(/\/+$/, "");
   const candidates = [trimmed, trimmed.endsWith("/api") ? trimmed.slice(0, -4) : `${trimmed}/api`];
@@ -0,0 +1,185 @@
+"use strict";
+
+const { parseGatewayDebugLine, parseGatewayJson, requestGateway } = require("./local-api");
+
+// Finds the RF channel behind each cloud shade. Every shade is sent through the cloud to
+// a percentage no other shade is at or will be sent to, and the gateway's debug log then
+// names the channel that carried it ("SCH ExeNextAct ... CH[mask] PCT N").
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+const DEFAULT_MATCH_TIMEOUT_MS = 20000;
+const DEFAULT_REQUEST_TIMEOUT_MS = 5000;
+// Targets stay clear of fully open and closed, where schedules and scenes usually send shades.
+const MIN_TARGET_PERCENT = 11;
+const MAX_TARGET_PERCENT = 89;
+
+class ChannelCorrelationError extends Error {}
+
+async function correlateChannels({
+  cloudApi,
+  gateways,
+  shadeNames = [],
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+  matchTimeoutMs = DEFAULT_MATCH_TIMEOUT_MS,
+  requestTimeoutMs = DEFAULT_REQUEST_TIMEOUT_MS,
+  restore = true,
+  requestFn,
+  logger = null,
+  sleep = delay,
+  now = Date.now,
+} = {}) {
+  if (!cloudApi) throw new ChannelCorrelationError("A cloud API client is required");
+  if (!Array.isArray(gateways) || !gateways.length) {
+    throw new ChannelCorrelationError("At least one gateway host is required");
+  }
+
+  const allShades = await cloudApi.getShades();
+  const wanted = new Set(shadeNames.map((name) => String(name).trim()).filter(Boolean));
+  const shades = wanted.size ? allShades.filter((shade) => wanted.has(shade.name)) : allShades;
+  if (!shades.length) throw new ChannelCorrelationError("No cloud shades to correlate");
+
+  const targets = assignTargetPercents(allShades, shades);
+  const request = requestFn || ((gateway, query) => requestGateway(gateway, query, requestTimeoutMs));
+  const watched = gateways.map((gateway) => ({ gateway, seen: null }));
+  const pollMs = Math.max(Number(pollIntervalMs) || DEFAULT_POLL_INTERVAL_MS, 50);
+  const timeoutMs = Math.max(Number(matchTimeoutMs) || DEFAULT_MATCH_TIMEOUT_MS, pollMs);
+
+  // The first read marks whatever is already in each debug log as seen.
+  await readNewMoveEvents(watched, request, logger);
+
+  const matches = [];
+  const unmatched = [];
+  try {
+    for (const shade of shades) {
+      const target = targets.get(shade);
+      logger?.info?.(`[PowerShades] Moving "${shade.name}" to ${target}% through the cloud`);
+      await cloudApi.moveShade(shade.name, target);
+
+      const hits = await waitForMoveEvents(watched, request, target, { pollMs, timeoutMs, sleep, now, logger });
+      const result = { shadeId: shade.id, shadeName: shade.name, target };
+      if (!hits.length) {
+        unmatched.push({ ...result, reason: `No gateway logged a move to ${target}% within ${Math.round(timeoutMs / 1000)}s` });
+        continue;
+      }
+      if (hits.length > 1) {
+        const found = hits.map((hit) => `${hit.gateway.host} channel ${hit.channel}`).join(", ");
+        unmatched.push({ ...result, reason: `Several channels moved to ${target}%: ${found}` });
+        continue;
+      }
+
+      const [hit] = hits;
+      const claimed = matches.find((match) => match.gateway === hit.gateway && match.channel === hit.channel);
+      if (claimed) {
+        unmatched.push({ ...result, reason: `${hit.gateway.host} channel ${hit.channel} already matched "${claimed.shadeName}"` });
+        continue;
+      }
+      matches.push({ ...result, gateway: hit.gateway, channel: hit.channel });
+    }
+  } finally {
+    if (restore) await restorePositions(cloudApi, shades, logger);
+  }
+
+  return {
+    matches: matches.map((match) => ({ ...match, gateway: match.gateway.host })),
+    unmatched,
+    suggestedConfig: { localGateways: buildLocalGateways(gateways, matches) },
+  };
+}
+
+function assignTargetPercents(allShades, shades) {
+  // Skip every shade's current position, so neither a restore nor an unrelated shade
+  // already sitting at a target can be mistaken for the move being watched.
+  const taken = new Set(allShades.map(cloudPercent).filter((percent) => percent !== null));
+  const targets = new Map();
+  let next = MIN_TARGET_PERCENT;
+  for (const shade of shades) {
+    while (next <= MAX_TARGET_PERCENT && taken.has(next)) next += 1;
+    if (next > MAX_TARGET_PERCENT) {
+      throw new ChannelCorrelationError("Too many shades to give each a unique target; correlate fewer at a time with a shade filter");
+    }
+    targets.set(shade, next);
+    taken.add(next);
+  }
+  return targets;
+}
+
+async function waitForMoveEvents(watched, request, target, { pollMs, timeoutMs, sleep, now, logger }) {
+  const deadline = now() + timeoutMs;
+  while (true) {
+    await sleep(pollMs);
+    const hits = new Map();
+    for (const { gateway, event } of await readNewMoveEvents(watched, request, logger)) {
+      if (event.percent !== target) continue;
+      for (const channel of event.channels) {
+        hits.set(`${gateway.host}\u0000${channel}`, { gateway, channel });
+      }
+    }
+    if (hits.size) return [...hits.values()];
+    if (now() >= deadline) return [];
+  }
+}
+
+async function readNewMoveEvents(watched, request, logger) {
+  const events = [];
+  for (const entry of watched) {
+    let lines;
+    try {
+      const [output] = parseGatewayJson(await request(entry.gateway, "var=dbg_out"));
+      lines = String(output || "").split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+    } catch (err) {
+      logger?.debug?.(`[PowerShades] Debug output read failed for ${entry.gateway.host}: ${err.message || err}`);
+      continue;
+    }
+    const seen = entry.seen;
+    entry.seen = new Set(lines);
+    if (!seen) continue;
+    for (const line of lines) {
+      if (seen.has(line)) continue;
+      const event = parseGatewayDebugLine(line);
+      if (event) events.push({ gateway: entry.gateway, event });
+    }
+  }
+  return events;
+}
+
+async function restorePositions(cloudApi, shades, logger) {
+  for (const shade of shades) {
+    const percent = cloudPercent(shade);
+    if (percent === null) continue;
+    try {
+      await cloudApi.moveShade(shade.name, percent);
+    } catch (err) {
+      logger?.warn?.(`[PowerShades] Could not move "${shade.name}" back to ${percent}%: ${err.message || err}`);
+    }
+  }
+}
+
+function buildLocalGateways(gateways, matches) {
+  return gateways
+    .map((gateway) => ({
+      host: gateway.host,
+      ...(gateway.httpPort ? { httpPort: Number(gateway.httpPort) } : {}),
+      ...(gateway.serial ? { serial: gateway.serial } : {}),
+      // The cloud shade id keeps the HomeKit accessory that cloud mode already created.
+      shades: matches
+        .filter((match) => match.gateway === gateway)
+        .sort((a, b) => a.channel - b.channel)
+        .map((match) => ({ channel: match.channel, name: match.shadeName, id: String(match.shadeId) })),
+    }))
+    .filter((gateway) => gateway.shades.length);
+}
+
+function cloudPercent(shade) {
+  const value = Number(shade?.current_position ?? shade?.percentage);
+  return Number.isInteger(value) && value >= 0 && value <= 100 ? value : null;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  ChannelCorrelationError,
+  DEFAULT_MATCH_TIMEOUT_MS,
+  DEFAULT_POLL_INTERVAL_MS,
+  correlateChannels,
+};
@@ -0,0 +1,434 @@
+"use strict";
+
+// Reads and writes the RF channel map described in RF-CHANNEL-MAPPING.example.md:
+// one row per gateway channel with its shade name, shade id, RF device id and room.
+// Maps are exchanged as a Markdown table per gateway, CSV or JSON, and merged onto
+// localGateways[].shades.
+
+const CHANNEL_MAP_FORMATS = ["markdown", "csv", "json"];
+const CHANNEL_COUNT = 30;
+
+const SHADE_COLUMNS = [
+  { key: "channel", label: "RF channel", align: "---", aliases: ["channel", "ch"] },
+  { key: "name", label: "Shade name", align: "---", aliases: ["name", "shade"] },
+  { key: "id", label: "Shade id", align: "---:", aliases: ["id"] },
+  { key: "rfDeviceId", label: "Device id", align: "---:", aliases: ["rf device", "rf device id", "rfdeviceid", "device"] },
+  { key: "room", label: "Room", align: "---", aliases: [] },
+];
+const GATEWAY_COLUMNS = [
+  { key: "gateway", label: "Gateway", aliases: ["host", "gateway host"] },
+  { key: "serial", label: "Serial", aliases: ["gateway serial"] },
+];
+
+class ChannelMapError extends Error {}
+
+function exportChannelMap(localGateways, format = "markdown") {
+  const gateways = (Array.isArray(localGateways) ? localGateways : []).map((gateway, index) => ({
+    label: gateway.host || gateway.serial || `Gateway ${index + 1}`,
+    host: gateway.host || null,
+    serial: gateway.serial || null,
+    shades: (gateway.shades || [])
+      .filter((shade) => shade && shade.channel && shade.enabled !== false)
+      .map((shade) => ({
+        channel: Number(shade.channel),
+        name: shade.name || `Channel ${shade.channel}`,
+        id: shade.id ?? null,
+        rfDeviceId: shade.rfDeviceId || null,
+        room: shade.room || null,
+      }))
+      .sort((a, b) => a.channel - b.channel),
+  }));
+
+  switch (normalizeFormat(format)) {
+    case "json":
+      return `${JSON.stringify({ gateways: gateways.map(toJsonGateway) }, null, 2)}\n`;
+    case "csv":
+      return formatCsv(gateways);
+    default:
+      return formatMarkdown(gateways);
+  }
+}
+
+function parseChannelMap(text, format = detectChannelMapFormat(text)) {
+  const source = String(text || "");
+  let gateways;
+  switch (normalizeFormat(format)) {
+    case "json":
+      gateways = parseJsonMap(source);
+      break;
+    case "csv":
+      gateways = parseCsvMap(source);
+      break;
+    default:
+      gateways = parseMarkdownMap(source);
+  }
+
+  const mapped = gateways
+    .map((gateway, index) => normalizeMapGateway(gateway, index))
+    .filter((gateway) => gateway.shades.length);
+  if (!mapped.length) {
+    throw new ChannelMapError("The channel map has no shade rows");
+  }
+  assertUniqueShadeIds(mapped);
+  return mapped;
+}
+
+function detectChannelMapFormat(text) {
+  const trimmed = String(text || "").trim();
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) return "json";
+  if (/^\s*\|/m.test(trimmed)) return "markdown";
+  return "csv";
+}
+
+// Applies an imported map to localGateways. Mapped gateways are matched by serial, then
+// host, then by position for map sections that name neither. Only the name and room of
+// each mapped channel change; other per-shade overrides are kept. A shade id is the
+// accessory's identity, so ids are only taken for channels the import adds unless
+// replaceIds is set.
+function mergeChannelMap(localGateways, mapGateways, { replaceIds = false } = {}) {
+  const merged = (Array.isArray(localGateways) ? localGateways : []).map((gateway) => ({
+    ...gateway,
+    shades: (gateway.shades || []).map((shade) => ({ ...shade })),
+  }));
+  const matched = new Set();
+
+  mapGateways.forEach((mapGateway, index) => {
+    let target = findMatchingGateway(merged, mapGateway);
+    if (!target && !mapGateway.host && !mapGateway.serial && merged[index] && !matched.has(merged[index])) {
+      target = merged[index];
+    }
+    if (!target) {
+      if (!mapGateway.host) {
+        throw new ChannelMapError(`No configured gateway matches "${mapGateway.label}"; add the gateway first or give its host`);
+      }
+      target = {
+        host: mapGateway.host,
+        ...(mapGateway.serial ? { serial: mapGateway.serial } : {}),
+        shades: [],
+      };
+      merged.push(target);
+    }
+    matched.add(target);
+    if (mapGateway.serial && !target.serial) target.serial = mapGateway.serial;
+
+    for (const mapShade of mapGateway.shades) {
+      let shade = target.shades.find((entry) => Number(entry.channel) === mapShade.channel);
+      const added = !shade;
+      if (added) {
+        shade = { channel: mapShade.channel };
+        target.shades.push(shade);
+      }
+      shade.name = mapShade.name;
+      if (mapShade.id !== undefined && (added || replaceIds)) shade.id = mapShade.id;
+      if (mapShade.room !== undefined) shade.room = mapShade.room;
+    }
+    target.shades.sort((a, b) => Number(a.channel) - Number(b.channel));
+  });
+
+  assertUniqueShadeIds(merged.map((gateway, index) => ({
+    label: gateway.host || gateway.serial || `Gateway ${index + 1}`,
+    shades: gateway.shades,
+  })));
+  return merged;
+}
+
+function formatMarkdown(gateways) {
+  const lines = ["# PowerShades RF Channel Map", ""];
+  for (const gateway of gateways) {
+    lines.push(`## Gateway ${gateway.label}`, "");
+    if (gateway.host && parseGatewayHeading(gateway.label).host !== gateway.host) lines.push(`Host: ${gateway.host}`, "");
+    if (gateway.serial) lines.push(`Serial: ${gateway.serial}`, "");
+    lines.push(`| ${SHADE_COLUMNS.map((column) => column.label).join(" | ")} |`);
+    lines.push(`| ${SHADE_COLUMNS.map((column) => column.align).join(" | ")} |`);
+    for (const shade of gateway.shades) {
+      lines.push(`| ${SHADE_COLUMNS.map((column) => escapeMarkdownCell(shade[column.key])).join(" | ")} |`);
+    }
+    lines.push("");
+  }
+  return `${lines.join("\n").trimEnd()}\n`;
+}
+
+function formatCsv(gateways) {
+  const columns = [...GATEWAY_COLUMNS, ...SHADE_COLUMNS];
+  const lines = [columns.map((column) => escapeCsvCell(column.label)).join(",")];
+  for (const gateway of gateways) {
+    for (const shade of gateway.shades) {
+      const row = { ...shade, gateway: gateway.host || gateway.label, serial: gateway.serial };
+      lines.push(columns.map((column) => escapeCsvCell(row[column.key])).join(","));
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function toJsonGateway(gateway) {
+  return {
+    ...(gateway.host ? { host: gateway.host } : { label: gateway.label }),
+    ...(gateway.serial ? { serial: gateway.serial } : {}),
+    shades: gateway.shades.map((shade) => Object.fromEntries(
+      Object.entries(shade).filter(([, value]) => value !== null && value !== "")
+    )),
+  };
+}
+
+function parseJsonMap(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new ChannelMapError(`Invalid JSON channel map: ${err.message}`);
+  }
+  const gateways = Array.isArray(parsed) ? parsed : parsed?.gateways || parsed?.localGateways;
+  if (!Array.isArray(gateways)) {
+    throw new ChannelMapError("JSON channel maps need a gateways or localGateways array");
+  }
+  return gateways.map((gateway) => ({
+    label: gateway?.label || gateway?.name,
+    host: gateway?.host,
+    serial: gateway?.serial,
+    shades: Array.isArray(gateway?.shades) ? gateway.shades : [],
+  }));
+}
+
+function parseMarkdownMap(text) {
+  const gateways = [];
+  let current = null;
+  let columns = null;
+
+  const startSection = (heading) => {
+    current = { ...parseGatewayHeading(heading), shades: [] };
+    gateways.push(current);
+    columns = null;
+  };
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const heading = line.match(/^#{2,}\s+(.+)$/);
+    if (heading) {
+      startSection(heading[1]);
+      continue;
+    }
+    if (/^#\s/.test(line)) continue;
+
+    const field = line.match(/^(serial|host)\s*:\s*`?([^`]+?)`?$/i);
+    if (field && current) {
+      current[field[1].toLowerCase()] = field[2].trim();
+      continue;
+    }
+
+    if (!line.startsWith("|")) {
+      if (!line) columns = null;
+      continue;
+    }
+    const cells = splitMarkdownRow(line);
+    if (!columns) {
+      columns = mapHeaderColumns(cells);
+      continue;
+    }
+    if (cells.every((cell) => /^:?-{3,}:?$/.test(cell))) continue;
+    if (!current) startSection("");
+    current.shades.push(rowToShade(columns, cells));
+  }
+  return gateways;
+}
+
+function parseCsvMap(text) {
+  const rows = parseCsvRows(text).filter((row) => row.some((cell) => cell.trim()));
+  if (!rows.length) return [];
+  const columns = mapHeaderColumns(rows[0]);
+  if (!columns.includes("channel")) {
+    throw new ChannelMapError("CSV channel maps need an RF channel column");
+  }
+
+  const byGateway = new Map();
+  for (const cells of rows.slice(1)) {
+    const values = Object.fromEntries(columns.map((key, index) => [key, (cells[index] || "").trim()]));
+    const key = `${values.gateway || ""}\u0000${values.serial || ""}`;
+    if (!byGateway.has(key)) {
+      byGateway.set(key, { ...parseGatewayHeading(values.gateway || ""), serial: values.serial || undefined, shades: [] });
+    }
+    byGateway.get(key).shades.push(rowToShade(columns, cells));
+  }
+  return [...byGateway.values()];
+}
+
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === "\"" && text[i + 1] === "\"") {
+        cell += "\"";
+        i += 1;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+    if (char === "\"") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function parseGatewayHeading(heading) {
+  const label = String(heading || "").trim();
+  const candidate = label.replace(/^gateway\s+/i, "").trim();
+  // Only headings that look like an address name a host; "Gateway A" is just a label.
+  const host = /^[a-z0-9-]+(\.[a-z0-9-]+)+(:\d+)?$/i.test(candidate) ? candidate : undefined;
+  return { label, host };
+}
+
+function mapHeaderColumns(cells) {
+  return cells.map((cell) => {
+    const header = cell.trim().toLowerCase();
+    const column = [...GATEWAY_COLUMNS, ...SHADE_COLUMNS]
+      .find((entry) => entry.label.toLowerCase() === header || entry.aliases.includes(header));
+    return column ? column.key : null;
+  });
+}
+
+function rowToShade(columns, cells) {
+  const shade = {};
+  columns.forEach((key, index) => {
+    if (!key || key === "gateway" || key === "serial") return;
+    const cell = String(cells[index] ?? "").trim();
+    if (cell) shade[key] = cell;
+  });
+  return shade;
+}
+
+function normalizeMapGateway(gateway, index) {
+  const label = String(gateway.label || gateway.host || gateway.serial || `Gateway ${index + 1}`).trim();
+  const seen = new Set();
+  const shades = gateway.shades.map((shade) => {
+    const channel = Number(shade.channel);
+    if (!Number.isInteger(channel) || channel < 1 || channel > CHANNEL_COUNT) {
+      throw new ChannelMapError(`Invalid RF channel "${shade.channel ?? ""}" for ${label}`);
+    }
+    if (seen.has(channel)) {
+      throw new ChannelMapError(`RF channel ${channel} is listed more than once for ${label}`);
+    }
+    seen.add(channel);
+    const normalized = {
+      channel,
+      name: String(shade.name || "").trim() || `Channel ${channel}`,
+    };
+    if (shade.id !== undefined && shade.id !== null && shade.id !== "") normalized.id = shade.id;
+    if (shade.rfDeviceId) normalized.rfDeviceId = String(shade.rfDeviceId);
+    if (shade.room) normalized.room = String(shade.room).trim();
+    return normalized;
+  });
+
+  return {
+    label,
+    host: normalizeHost(gateway.host) || undefined,
+    serial: gateway.serial ? String(gateway.serial).trim() : undefined,
+    shades,
+  };
+}
+
+function assertUniqueShadeIds(gateways) {
+  // Shades with the same id would collapse into one HomeKit accessory.
+  const owners = new Map();
+  for (const gateway of gateways) {
+    for (const shade of gateway.shades) {
+      if (shade.id === undefined || shade.id === null || shade.id === "") continue;
+      const id = String(shade.id);
+      const owner = `${gateway.label} channel ${shade.channel}`;
+      if (owners.has(id)) {
+        throw new ChannelMapError(`Shade id "${id}" is used by both ${owners.get(id)} and ${owner}; shade ids must be unique`);
+      }
+      owners.set(id, owner);
+    }
+  }
+}
+
+function findMatchingGateway(gateways, mapGateway) {
+  const serial = normalizeSerial(mapGateway.serial);
+  if (serial) {
+    const bySerial = gateways.find((gateway) => normalizeSerial(gateway.serial) === serial);
+    if (bySerial) return bySerial;
+  }
+  const host = normalizeHost(mapGateway.host);
+  if (host) {
+    return gateways.find((gateway) => normalizeHost(gateway.host) === host) || null;
+  }
+  return null;
+}
+
+function splitMarkdownRow(line) {
+  const cells = [];
+  let cell = "";
+  const body = line.replace(/^\|/, "").replace(/\|$/, "");
+  for (let i = 0; i < body.length; i += 1) {
+    if (body[i] === "\\" && body[i + 1] === "|") {
+      cell += "|";
+      i += 1;
+    } else if (body[i] === "|") {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += body[i];
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function escapeMarkdownCell(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+function escapeCsvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function normalizeFormat(format) {
+  const normalized = String(format || "markdown").trim().toLowerCase();
+  if (normalized === "md") return "markdown";
+  if (!CHANNEL_MAP_FORMATS.includes(normalized)) {
+    throw new ChannelMapError(`Unsupported channel map format: ${format}; use ${CHANNEL_MAP_FORMATS.join(", ")}`);
+  }
+  return normalized;
+}
+
+function normalizeHost(host) {
+  return String(host || "").trim().replace(/^https?:\/\//, "").replace(/\/+$/, "");
+}
+
+function normalizeSerial(value) {
+  return String(value || "").toLowerCase().replace(/[^0-9a-z]/g, "");
+}
+
+module.exports = {
+  CHANNEL_MAP_FORMATS,
+  ChannelMapError,
+  detectChannelMapFormat,
+  exportChannelMap,
+  mergeChannelMap,
+  parseChannelMap,
+};
@@ -0,0 +1,66 @@
+"use strict";
+
+// Custom HomeKit characteristics for PowerShades gateway and shade diagnostics.
+// The Home app hides custom characteristics; apps such as Eve or Controller show them.
+
+const GATEWAY_FIRMWARE_UUID = "B05241C1-430F-480A-86C6-73D5FEDEB9A9";
+const GATEWAY_RSSI_UUID = "A7C75206-A276-4A84-B4E1-EAD3FC8028DC";
+const SHADE_RSSI_UUID = "C1C7F5A4-DA87-453D-8FD4-DA6CFF90B6A9";
+
+const cache = new WeakMap();
+
+function createCustomCharacteristics(hap) {
+  if (cache.has(hap)) return cache.get(hap);
+
+  class GatewayFirmwareVersion extends hap.Characteristic {
+    constructor() {
+      super("Gateway Firmware", GATEWAY_FIRMWARE_UUID, {
+        format: hap.Formats.STRING,
+        perms: [hap.Perms.PAIRED_READ, hap.Perms.NOTIFY],
+      });
+      this.value = "";
+    }
+  }
+  GatewayFirmwareVersion.UUID = GATEWAY_FIRMWARE_UUID;
+
+  class GatewayRssi extends hap.Characteristic {
+    constructor() {
+      super("Gateway RSSI", GATEWAY_RSSI_UUID, {
+        format: hap.Formats.INT,
+        unit: "dBm",
+        minValue: -150,
+        maxValue: 0,
+        minStep: 1,
+        perms: [hap.Perms.PAIRED_READ, hap.Perms.NOTIFY],
+      });
+      this.value = -150;
+    }
+  }
+  GatewayRssi.UUID = GATEWAY_RSSI_UUID;
+
+  class ShadeRssi extends hap.Characteristic {
+    constructor() {
+      super("Shade RSSI", SHADE_RSSI_UUID, {
+        format: hap.Formats.INT,
+        unit: "dBm",
+        minValue: -150,
+        maxValue: 0,
+        minStep: 1,
+        perms: [hap.Perms.PAIRED_READ, hap.Perms.NOTIFY],
+      });
+      this.value = -150;
+    }
+  }
+  ShadeRssi.UUID = SHADE_RSSI_UUID;
+
+  const characteristics = { GatewayFirmwareVersion, GatewayRssi, ShadeRssi };
+  cache.set(hap, characteristics);
+  return characteristics;
+}
+
+module.exports = {
+  GATEWAY_FIRMWARE_UUID,
+  GATEWAY_RSSI_UUID,
+  SHADE_RSSI_UUID,
+  createCustomCharacteristics,
+};
@@ -17,11 +17,16 @@ const COLUMN_HELP = {
   Effective: "Power source the plugin will actually use after applying the override or voltage inference. Battery exposes a HomeKit battery service.",
   "RF Device": "Linked RF device ID reported by the gateway. None means the gateway did not report a linked device for this channel.",
   RX: "Latest RF receive signal value reported by the gateway. More negative values generally mean weaker feedback.",
+  Test: "Move this channel right away to see which physical shade it drives. The slider uses the same scale as Position. The row refreshes a few seconds later.",
 };
 
+// Gives a jogged shade time to travel before the channel table is refreshed.
+const CHANNEL_TEST_REFRESH_DELAY_MS = 3000;
+
 let configList = [];
 let config = {};
 let gateways = [];
+let scanResults = null;
 
 if (typeof window !== "undefined" && window.homebridge) {
   window.homebridge.addEventListener("ready", async () => {
@@ -64,10 +69,16 @@ function bindControls() {
   document.getElementById("saveConfig").addEventListener("click", saveConfig);
   document.getElementById("refreshAll").addEventListener("click", refreshAllGateways);
   document.getElementById("addGateway").addEventListener("click", addGatewayFromInput);
+  document.getElementById("scanGateways").addEventListener("click", scanNetwork);
+  document.getElementById("exportChannelMap").addEventListener("click", exportGatewayChannelMap);
+  document.getElementById("downloadChannelMap").addEventListener("click", downloadChannelMap);
+  document.getElementById("importChannelMap").addEventListener("click", importGatewayChannelMap);
+  document.getElementById("channelMapFile").addEventListener("change", loadChannelMapFile);
   document.getElementById("newGatewayHost").addEventListener("keydown", (event) => {
     if (event.key === "Enter") addGatewayFromInput();
   });
 
+  document.getElementById("syncNamesToGateway").addEventListener("change", syncConfigFromControls);
   for (const id of ["controlMode", "email", "password", "apiToken", "localStatusCacheTTL", "localRequestTimeoutMs"]) {
     document.getElementById(id).addEventListener("input", syncConfigFromControls);
     document.getElementById(id).addEventListener("change", syncConfigFromControls);
@@ -81,6 +92,7 @@ function syncGlobalControls() {
   setValue("apiToken", config.apiToken || "");
   setValue("localStatusCacheTTL", config.localStatusCacheTTL || 30);
   setValue("localRequestTimeoutMs", config.localRequestTimeoutMs || 5000);
+  document.getElementById("syncNamesToGateway").checked = config.syncNamesToGateway === true;
 }
 
 function syncConfigFromControls() {
@@ -90,6 +102,7 @@ function syncConfigFromControls() {
   config.apiToken = value("apiToken") || undefined;
   config.localStatusCacheTTL = numberValue("localStatusCacheTTL", 30);
   config.localRequestTimeoutMs = numberValue("localRequestTimeoutMs", 5000);
+  config.syncNamesToGateway = document.getElementById("syncNamesToGateway").checked || undefined;
 }
 
 function prepareGateway(gateway) {
@@ -117,15 +130,141 @@ async function addGatewayFromInput() {
   const input = document.getElementById("newGatewayHost");
   const host = normalizeHost(input.value);
   if (!host) return;
+  if (await addGateway({ host })) input.value = "";
+}
+
+async function addGateway({ host, httpPort, mac }) {
   if (gateways.some((gateway) => gateway.host === host)) {
     showMessage(`Gateway ${host} is already configured.`, "error");
-    return;
+    return false;
   }
-  const gateway = prepareGateway({ host, discoverChannels: true, shades: [] });
+  // A scanned gateway's MAC doubles as its serial so the plugin can find it again after a DHCP change.
+  const gateway = prepareGateway({
+    host,
+    ...(httpPort ? { httpPort } : {}),
+    ...(mac ? { serial: mac } : {}),
+    discoverChannels: true,
+    shades: [],
+  });
   gateways.push(gateway);
-  input.value = "";
   render();
   await discoverGateway(gateway);
+  return true;
+}
+
+async function scanNetwork() {
+  const scanButton = document.getElementById("scanGateways");
+  scanButton.disabled = true;
+  scanButton.textContent = "Scanning...";
+  try {
+    const result = await window.homebridge.request("/scan-gateways", {});
+    scanResults = result.gateways || [];
+    if (!scanResults.length) showMessage("No RF gateways answered on the local network.", "info");
+  } catch (err) {
+    showMessage(`Network scan failed: ${err?.message || err}`, "error");
+  } finally {
+    scanButton.disabled = false;
+    scanButton.textContent = "Scan Network";
+    render();
+  }
+}
+
+function renderScanResults() {
+  const root = document.getElementById("scanResults");
+  root.innerHTML = "";
+  if (!scanResults?.length) return;
+
+  const panel = document.createElement("section");
+  panel.className = "ps-panel";
+  panel.innerHTML = "<h5>Gateways Found</h5>";
+  for (const found of scanResults) {
+    const row = document.createElement("div");
+    row.className = "ps-gateway-head ps-scan-result";
+    row.appendChild(text(describeScannedGateway(found)));
+    const configured = gateways.some((gateway) => gateway.host === found.host);
+    const add = button(configured ? "Added" : "Add", "btn btn-primary", () => addGateway(found));
+    add.disabled = configured;
+    row.appendChild(add);
+    panel.appendChild(row);
+  }
+  root.appendChild(panel);
+}
+
+function describeScannedGateway(found) {
+  return [
+    found.httpPort ? `${found.host}:${found.httpPort}` : found.host,
+    found.version ? `Firmware ${found.version}` : null,
+    found.mac ? `MAC ${found.mac}` : null,
+    found.networkStatus || null,
+  ].filter(Boolean).join(" / ");
+}
+
+async function exportGatewayChannelMap() {
+  try {
+    const result = await window.homebridge.request("/export-channel-map", {
+      localGateways: channelMapGateways(gateways),
+      format: value("channelMapFormat"),
+    });
+    setValue("channelMapText", result.text);
+  } catch (err) {
+    showMessage(`Channel map export failed: ${err?.message || err}`, "error");
+  }
+}
+
+function downloadChannelMap() {
+  const contents = document.getElementById("channelMapText").value;
+  if (!contents.trim()) {
+    showMessage("Export or paste a channel map first.", "info");
+    return;
+  }
+  const format = value("channelMapFormat");
+  const extension = format === "markdown" ? "md" : format;
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([contents], { type: "text/plain" }));
+  link.download = `powershades-channel-map.${extension}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+async function loadChannelMapFile(event) {
+  const file = event.target.files?.[0];
+  if (!file) return;
+  setValue("channelMapText", await file.text());
+  event.target.value = "";
+}
+
+async function importGatewayChannelMap() {
+  const contents = document.getElementById("channelMapText").value;
+  if (!contents.trim()) {
+    showMessage("Paste or load a channel map to import.", "info");
+    return;
+  }
+  try {
+    // The map format is detected from its contents so pasted maps need no format choice.
+    const result = await window.homebridge.request("/import-channel-map", {
+      text: contents,
+      localGateways: gateways.map(serializeGateway),
+      replaceIds: document.getElementById("channelMapReplaceIds").checked,
+    });
+    gateways = result.localGateways.map(prepareGateway);
+    render();
+    showMessage(`Imported ${result.shades} channel(s). Save to keep them.`, "info");
+    await refreshAllGateways();
+  } catch (err) {
+    showMessage(`Channel map import failed: ${err?.message || err}`, "error");
+  }
+}
+
+// Exports include each channel's discovered RF device ID, which is not saved to config.
+function channelMapGateways(gatewayList) {
+  return gatewayList.map((gateway) => {
+    const output = serializeGateway(gateway);
+    output.shades = output.shades.map((shade) => {
+      const row = (gateway.channels || []).find((entry) => Number(entry.channel) === shade.channel);
+      return row?.rfDeviceId ? { ...shade, rfDeviceId: row.rfDeviceId } : shade;
+    });
+    return output;
+  });
 }
 
 async function refreshAllGateways() {
@@ -160,6 +299,7 @@ async function discoverGateway(gateway) {
 }
 
 function render() {
+  renderScanResults();
   const root = document.getElementById("gateways");
   root.innerHTML = "";
 
@@ -194,6 +334,10 @@ function renderGateway(gateway, gatewayIndex) {
   const actions = document.createElement("div");
   actions.className = "ps-actions";
   actions.appendChild(button("Discover", "btn btn-primary", () => discoverGateway(gateway)));
+  actions.appendChild(button(gateway.pairing ? "Close Pairing" : "Pair Shade", "btn btn-elegant", () => {
+    gateway.pairing = gateway.pairing ? null : { channel: firstFreeChannel(gateway), status: "", busy: false };
+    render();
+  }));
   actions.appendChild(button("Remove", "btn btn-elegant", () => {
     gateways.splice(gatewayIndex, 1);
     render();
@@ -203,6 +347,7 @@ function renderGateway(gateway, gatewayIndex) {
 
   panel.appendChild(renderGatewayInputs(gateway));
   panel.appendChild(renderGatewayMeta(gateway));
+  if (gateway.pairing) panel.appendChild(renderPairingPanel(gateway));
   panel.appendChild(renderChannelTable(gateway));
   return panel;
 }
@@ -242,6 +387,123 @@ function renderGatewayMeta(gateway) {
   return meta;
 }
 
+function renderPairingPanel(gateway) {
+  const pairing = gateway.pairing;
+  const wrapper = document.createElement("div");
+  wrapper.className = "ps-pairing";
+  wrapper.innerHTML = "<h6>Pair a Shade</h6>";
+
+  const channelSelect = document.createElement("select");
+  channelSelect.className = "form-control";
+  for (let channel = 1; channel <= 30; channel += 1) {
+    const row = (gateway.channels || []).find((entry) => Number(entry.channel) === channel);
+    const option = document.createElement("option");
+    option.value = String(channel);
+    option.textContent = row?.rfDeviceId ? `Channel ${channel} (linked ${row.rfDeviceId})` : `Channel ${channel}`;
+    option.selected = pairing.channel === channel;
+    channelSelect.appendChild(option);
+  }
+  channelSelect.disabled = pairing.busy;
+  channelSelect.addEventListener("change", () => {
+    pairing.channel = Number(channelSelect.value);
+    pairing.status = "";
+    render();
+  });
+  const channelLabel = document.createElement("label");
+  channelLabel.className = "ps-label";
+  channelLabel.textContent = "Channel";
+  channelLabel.appendChild(channelSelect);
+  wrapper.appendChild(channelLabel);
+
+  const steps = document.createElement("ol");
+  steps.className = "ps-pairing-steps";
+  steps.appendChild(renderPairingStep(
+    "Put the motor in pairing mode as described in its manual, then send Pair.",
+    [button("Pair", "btn btn-primary", () => runPairingStep(gateway, "Pairing", "/pair-channel"))],
+    pairing.busy,
+  ));
+  steps.appendChild(renderPairingStep(
+    "Jog the shade to confirm it follows this channel.",
+    [
+      button("Up", "btn btn-elegant", () => runPairingStep(gateway, "Moving up", "/channel-command", { command: "up" })),
+      button("Stop", "btn btn-elegant", () => runPairingStep(gateway, "Stopping", "/channel-command", { command: "stop" })),
+      button("Down", "btn btn-elegant", () => runPairingStep(gateway, "Moving down", "/channel-command", { command: "down" })),
+    ],
+    pairing.busy,
+  ));
+  steps.appendChild(renderPairingStep(
+    "Link two-way feedback so the gateway can read position and battery.",
+    [button("Link Feedback", "btn btn-primary", () => runPairingStep(gateway, "Linking feedback", "/channel-command", { command: "link-feedback" }))],
+    pairing.busy,
+  ));
+  steps.appendChild(renderPairingStep(
+    "Verify that the gateway reports an RF device ID for the channel.",
+    [button("Verify", "btn btn-primary", () => verifyPairing(gateway))],
+    pairing.busy,
+  ));
+  wrapper.appendChild(steps);
+
+  if (pairing.status) {
+    wrapper.appendChild(text(pairing.status, pairing.failed ? "ps-pairing-status error" : "ps-pairing-status"));
+  }
+  return wrapper;
+}
+
+function renderPairingStep(description, buttons, disabled) {
+  const item = document.createElement("li");
+  item.appendChild(text(description));
+  const actions = document.createElement("div");
+  actions.className = "ps-actions";
+  for (const node of buttons) {
+    node.disabled = disabled;
+    actions.appendChild(node);
+  }
+  item.appendChild(actions);
+  return item;
+}
+
+async function runPairingStep(gateway, label, path, body = {}) {
+  const pairing = gateway.pairing;
+  pairing.busy = true;
+  pairing.failed = false;
+  pairing.status = `${label} channel ${pairing.channel}...`;
+  render();
+  try {
+    const result = await window.homebridge.request(path, {
+      gateway: serializeGateway(gateway),
+      channel: pairing.channel,
+      ...body,
+    });
+    pairing.status = `${label} channel ${pairing.channel}: sent.`;
+    return result;
+  } catch (err) {
+    pairing.failed = true;
+    pairing.status = `${label} channel ${pairing.channel} failed: ${err?.message || err}`;
+    return null;
+  } finally {
+    pairing.busy = false;
+    render();
+  }
+}
+
+async function verifyPairing(gateway) {
+  const result = await runPairingStep(gateway, "Waiting for a device ID on", "/verify-link");
+  if (!result) return;
+  gateway.pairing.status = `Channel ${result.channel} linked as RF device ${result.rfDeviceId}.`;
+  await discoverGateway(gateway);
+}
+
+function firstFreeChannel(gateway) {
+  // Suggest the first channel the gateway has no linked device on.
+  const linked = new Set((gateway.channels || [])
+    .filter((row) => row.rfDeviceId)
+    .map((row) => Number(row.channel)));
+  for (let channel = 1; channel <= 30; channel += 1) {
+    if (!linked.has(channel)) return channel;
+  }
+  return 1;
+}
+
 function renderChannelTable(gateway) {
   const wrapper = document.createElement("div");
   wrapper.className = "ps-table-wrap";
@@ -260,7 +522,7 @@ function renderChannelTable(gateway) {
   const tbody = table.querySelector("tbody");
   const rows = (gateway.channels || []).slice().sort((a, b) => Number(a.channel) - Number(b.channel));
   for (const row of rows) {
-    tbody.appendChild(renderChannelRow(row));
+    tbody.appendChild(renderChannelRow(gateway, row));
   }
   wrapper.appendChild(table);
   return wrapper;
@@ -308,7 +570,7 @@ function hideTooltip() {
   document.querySelectorAll(".ps-tooltip").forEach((node) => node.remove());
 }
 
-function renderChannelRow(row) {
+function renderChannelRow(gateway, row) {
   const tr = document.createElement("tr");
   tr.className = row.useful || row.hasConfig ? "" : "ps-muted";
 
@@ -349,12 +611,64 @@ function renderChannelRow(row) {
   appendCell(tr, text(row.effectivePowerSource || "unknown"));
   appendCell(tr, text(row.rfDeviceId || "None", "ps-number"));
   appendCell(tr, text(row.rx === null || row.rx === undefined ? "Unknown" : row.rx, "ps-number"));
+  appendCell(tr, renderChannelTestControls(gateway, row));
 
   return tr;
 }
 
+function renderChannelTestControls(gateway, row) {
+  const controls = document.createElement("div");
+  controls.className = "ps-channel-controls";
+  const disabled = Boolean(gateway.loading || row.testing);
+  for (const [label, command] of [["Up", "up"], ["Stop", "stop"], ["Down", "down"]]) {
+    const node = button(label, "btn btn-sm btn-elegant", () => testChannel(gateway, row, "/channel-command", { command }));
+    node.disabled = disabled;
+    controls.appendChild(node);
+  }
+
+  const slider = document.createElement("input");
+  slider.type = "range";
+  slider.min = "0";
+  slider.max = "100";
+  slider.step = "1";
+  slider.value = String(row.currentPosition ?? 0);
+  slider.disabled = disabled;
+  slider.setAttribute("aria-label", `Position for channel ${row.channel}`);
+  const sliderValue = text(`${slider.value}%`, "ps-number");
+  slider.addEventListener("input", () => {
+    sliderValue.textContent = `${slider.value}%`;
+  });
+  slider.addEventListener("change", () => {
+    testChannel(gateway, row, "/set-position", { percent: Number(slider.value) });
+  });
+  controls.appendChild(slider);
+  controls.appendChild(sliderValue);
+  return controls;
+}
+
+async function testChannel(gateway, row, path, body) {
+  row.testing = true;
+  render();
+  try {
+    await window.homebridge.request(path, {
+      gateway: serializeGateway(gateway),
+      channel: Number(row.channel),
+      ...body,
+    });
+  } catch (err) {
+    showMessage(`Channel ${row.channel} on ${gateway.host} did not respond: ${err?.message || err}`, "error");
+    row.testing = false;
+    render();
+    return;
+  }
+  await new Promise((resolve) => setTimeout(resolve, CHANNEL_TEST_REFRESH_DELAY_MS));
+  row.testing = false;
+  await discoverGateway(gateway);
+}
+
 async function saveConfig() {
   syncConfigFromControls();
+  if (config.syncNamesToGateway) await syncChannelNames();
   config.localGateways = gateways.map(serializeGateway);
   configList[0] = config;
   try {
@@ -366,6 +680,39 @@ async function saveConfig() {
   }
 }
 
+async function syncChannelNames() {
+  let renamed = 0;
+  for (const gateway of gateways) {
+    for (const row of channelsToRename(gateway)) {
+      const name = row.name.trim();
+      try {
+        await window.homebridge.request("/rename-channel", {
+          gateway: serializeGateway(gateway),
+          channel: row.channel,
+          name,
+        });
+        row.discoveredName = name;
+        renamed += 1;
+      } catch (err) {
+        showMessage(`Could not rename channel ${row.channel} on ${gateway.host}: ${err?.message || err}`, "error");
+      }
+    }
+  }
+  if (renamed) showMessage(`Wrote ${renamed} channel name(s) to the gateway.`, "info");
+}
+
+function channelsToRename(gateway) {
+  // Only gateways discovered in this session have known channel names to compare against.
+  if (!gateway.metadata) return [];
+  return (gateway.channels || []).filter((row) => {
+    const name = String(row.name || "").trim();
+    return row.enabled !== false
+      && name
+      && name !== `Channel ${row.channel}`
+      && name !== (row.discoveredName || "");
+  });
+}
+
 function serializeGateway(gateway) {
   const output = {
     host: normalizeHost(gateway.host),
@@ -374,14 +721,18 @@ function serializeGateway(gateway) {
     waitForUdpResponse: gateway.waitForUdpResponse !== false,
     shades: serializeShades(gateway.channels || []),
   };
+  if (gateway.udpRetries !== undefined && gateway.udpRetries !== "") output.udpRetries = Number(gateway.udpRetries);
+  if (gateway.udpRetryNewSequence) output.udpRetryNewSequence = true;
   if (gateway.serial) output.serial = gateway.serial;
   if (gateway.localAddress) output.localAddress = gateway.localAddress;
   if (gateway.udpPort) output.udpPort = Number(gateway.udpPort);
+  if (gateway.httpPort) output.httpPort = Number(gateway.httpPort);
   if (gateway.localUdpPort) output.localUdpPort = Number(gateway.localUdpPort);
   const includeChannels = normalizeChannelList(gateway.includeChannels);
   const excludeChannels = normalizeChannelList(gateway.excludeChannels);
   if (includeChannels.length) output.includeChannels = includeChannels;
   if (excludeChannels.length) output.excludeChannels = excludeChannels;
+  if (Array.isArray(gateway.groups) && gateway.groups.length) output.groups = gateway.groups;
   return output;
 }
 
@@ -397,7 +748,10 @@ function serializeShades(channels) {
       if (row.enabled === false) shade.enabled = false;
       if (row.powerSource && row.powerSource !== "auto") shade.powerSource = row.powerSource;
       if (row.assumePosition !== undefined && row.assumePosition !== "") shade.assumePosition = Number(row.assumePosition);
-      for (const key of ["batteryMinMillivolts", "batteryMaxMillivolts", "lowBatteryMillivolts"]) {
+      if (row.cloudName) shade.cloudName = row.cloudName;
+      if (row.room) shade.room = row.room;
+      if (typeof row.exposeControls === "boolean") shade.exposeControls = row.exposeControls;
+      for (const key of ["batteryMinMillivolts", "batteryMaxMillivolts", "lowBatteryMillivolts", "travelTimeUpMs", "travelTimeDownMs"]) {
         if (row[key] !== undefined && row[key] !== null && row[key] !== "") shade[key] = Number(row[key]);
       }
       return shade;
@@ -467,6 +821,10 @@ function normalizeChannelList(channels) {
 
 if (typeof module !== "undefined") {
   module.exports = {
+    channelMapGateways,
+    channelsToRename,
+    describeScannedGateway,
+    firstFreeChannel,
     normalizeChannelList,
     normalizeHost,
     serializeGateway,
@@ -5,8 +5,19 @@ const {
   parseChannelValues,
   parseGatewayChannelNames,
   parseGatewayJson,
+  parseGatewayMetadata,
   requestGateway,
 } = require("../local-api");
+const { exportChannelMap, mergeChannelMap, parseChannelMap } = require("../channel-map");
+const { scanForGateways } = require("../local-discovery");
+const {
+  DEFAULT_UDP_PORT,
+  buildCommandPacket,
+  buildRenameChannelPacket,
+  buildSetPositionPacket,
+  describeAckProblem,
+  sendUdpPacket,
+} = require("../local-udp-protocol");
 const {
   batteryLevelFromMillivolts,
   normalizePowerSource,
@@ -14,11 +25,23 @@ const {
 } = require("../power-source");
 
 const DEFAULT_TIMEOUT_MS = 5000;
+const CHANNEL_COMMANDS = new Set(["up", "down", "stop", "p2", "link-feedback"]);
+const LINK_POLL_INTERVAL_MS = 2000;
+const DEFAULT_LINK_TIMEOUT_MS = 60000;
+const MAX_LINK_TIMEOUT_MS = 120000;
 
 class PluginUiServer {
   constructor() {
     this.handlers = new Map();
     this.onRequest("/discover-gateway", (payload) => this.discoverGateway(payload));
+    this.onRequest("/scan-gateways", (payload) => this.scanGateways(payload));
+    this.onRequest("/rename-channel", (payload) => this.renameChannel(payload));
+    this.onRequest("/channel-command", (payload) => this.sendChannelCommand(payload));
+    this.onRequest("/set-position", (payload) => this.setChannelPosition(payload));
+    this.onRequest("/pair-channel", (payload) => this.pairChannel(payload));
+    this.onRequest("/verify-link", (payload) => this.verifyLink(payload));
+    this.onRequest("/export-channel-map", (payload) => this.exportChannelMap(payload));
+    this.onRequest("/import-channel-map", (payload) => this.importChannelMap(payload));
 
     process.on("message", (request) => {
       if (request?.action === "request") {
@@ -66,6 +89,98 @@ class PluginUiServer {
     });
   }
 
+  async scanGateways(payload) {
+    const subnets = String(payload.subnet || "")
+      .split(",")
+      .map((subnet) => subnet.trim())
+      .filter(Boolean);
+    const gateways = await scanForGateways({
+      subnets,
+      timeoutMs: payload.timeoutMs,
+    });
+    return { gateways };
+  }
+
+  async renameChannel(payload) {
+    const gateway = resolveGatewayTarget(payload);
+    const channel = requireChannel(payload.channel);
+    const name = String(payload.name || "").trim();
+    await sendGatewayPacket(gateway, buildRenameChannelPacket({ channel, name }));
+    return { host: gateway.host, channel, name };
+  }
+
+  async sendChannelCommand(payload) {
+    const gateway = resolveGatewayTarget(payload);
+    const channel = requireChannel(payload.channel);
+    const command = String(payload.command || "");
+    if (!CHANNEL_COMMANDS.has(command)) {
+      throw new Error(`Unsupported channel command: ${command}.`);
+    }
+    await sendGatewayPacket(gateway, buildCommandPacket({ command, channel }));
+    return { host: gateway.host, channel, command };
+  }
+
+  async setChannelPosition(payload) {
+    const gateway = resolveGatewayTarget(payload);
+    const channel = requireChannel(payload.channel);
+    const percent = Number(payload.percent);
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+      throw new Error(`Invalid position: ${payload.percent}.`);
+    }
+    await sendGatewayPacket(gateway, buildSetPositionPacket({ channel, percent: Math.round(percent) }));
+    return { host: gateway.host, channel, percent: Math.round(percent) };
+  }
+
+  async pairChannel(payload) {
+    // Config.NET has no known UDP pair packet, so use the gateway web page's pair command.
+    const gateway = resolveGatewayTarget(payload);
+    const channel = requireChannel(payload.channel);
+    const timeoutMs = Math.max(Number(payload.timeoutMs) || DEFAULT_TIMEOUT_MS, 1000);
+    await requestGateway(gateway, `pair=${channel}`, timeoutMs);
+    return { host: gateway.host, channel };
+  }
+
+  async verifyLink(payload) {
+    const gateway = resolveGatewayTarget(payload);
+    const channel = requireChannel(payload.channel);
+    const timeoutMs = Math.min(Math.max(Number(payload.timeoutMs) || DEFAULT_LINK_TIMEOUT_MS, 1000), MAX_LINK_TIMEOUT_MS);
+    const intervalMs = Math.max(Number(payload.intervalMs) || LINK_POLL_INTERVAL_MS, 100);
+    const deadline = Date.now() + timeoutMs;
+    let attempts = 0;
+    let lastError = null;
+
+    while (true) {
+      attempts += 1;
+      try {
+        const rfdevs = parseChannelValues(await getGatewayVariable(gateway, "rfdevs", DEFAULT_TIMEOUT_MS), String);
+        const rfDeviceId = rfdevs[channel - 1];
+        if (rfDeviceId && rfDeviceId !== "0") {
+          return { host: gateway.host, channel, rfDeviceId, attempts };
+        }
+        lastError = null;
+      } catch (err) {
+        lastError = err;
+      }
+      if (Date.now() + intervalMs > deadline) break;
+      await delay(intervalMs);
+    }
+
+    const reason = lastError ? ` Last error: ${lastError.message || lastError}` : "";
+    throw new Error(`Channel ${channel} did not report an RF device ID within ${Math.round(timeoutMs / 1000)}s.${reason}`);
+  }
+
+  async exportChannelMap(payload) {
+    return { text: exportChannelMap(payload.localGateways, payload.format || "markdown") };
+  }
+
+  async importChannelMap(payload) {
+    const mapGateways = parseChannelMap(payload.text, payload.format || undefined);
+    return {
+      localGateways: mergeChannelMap(payload.localGateways, mapGateways, { replaceIds: payload.replaceIds === true }),
+      shades: mapGateways.reduce((count, gateway) => count + gateway.shades.length, 0),
+    };
+  }
+
   async discoverGateway(payload) {
     const gateway = payload.gateway || {};
     const host = normalizeHost(payload.host || gateway.host);
@@ -77,6 +192,7 @@ class PluginUiServer {
     const requestContext = {
       host,
       localAddress: gateway.localAddress,
+      httpPort: Number(gateway.httpPort) || undefined,
     };
 
     const variableNames = ["percent", "battery", "rx", "rfdevs", "chnames1", "chnames2", "chnames3"];
@@ -142,6 +258,8 @@ function buildChannelRows(status, configuredByChannel) {
     const batteryMinMillivolts = normalizeMaybeNumber(configured.batteryMinMillivolts);
     const batteryMaxMillivolts = normalizeMaybeNumber(configured.batteryMaxMillivolts);
     const lowBatteryMillivolts = normalizeMaybeNumber(configured.lowBatteryMillivolts);
+    const travelTimeUpMs = normalizeMaybeNumber(configured.travelTimeUpMs);
+    const travelTimeDownMs = normalizeMaybeNumber(configured.travelTimeDownMs);
     const useful = Boolean(discoveredName || rfDeviceId || batteryMillivolts !== null || currentPosition !== null);
     const hasConfig = Object.keys(configured).length > 0;
 
@@ -163,14 +281,36 @@ function buildChannelRows(status, configuredByChannel) {
       powerSource,
       effectivePowerSource,
       assumePosition: configured.assumePosition,
+      cloudName: configured.cloudName,
+      room: configured.room,
       batteryMinMillivolts,
       batteryMaxMillivolts,
       lowBatteryMillivolts,
+      travelTimeUpMs,
+      travelTimeDownMs,
+      exposeControls: configured.exposeControls,
     });
   }
   return rows;
 }
 
+async function sendGatewayPacket(gateway, packet) {
+  const waitForResponse = gateway.waitForUdpResponse !== false;
+  const result = await sendUdpPacket({
+    host: gateway.host,
+    packet,
+    port: Number(gateway.udpPort) || DEFAULT_UDP_PORT,
+    localPort: gateway.localUdpPort,
+    timeoutMs: Number(gateway.udpTimeoutMs) || undefined,
+    waitForResponse,
+  });
+  const problem = waitForResponse ? describeAckProblem(packet, result.response) : null;
+  if (problem) {
+    throw new Error(`Gateway ${gateway.host} did not acknowledge the command: ${problem}.`);
+  }
+  return result;
+}
+
 async function getGatewayVariable(gateway, variable, timeoutMs) {
   const response = await requestGateway(gateway, `var=${encodeURIComponent(variable)}`, timeoutMs);
   const parsed = parseGatewayJson(response);
@@ -183,14 +323,7 @@ async function getGatewayVariable(gateway, variable, timeoutMs) {
 async function getGatewayMetadata(gateway, timeoutMs) {
   try {
     const response = await requestGateway(gateway, "var=version,curfwpg,netsts,rfsts,rssi", timeoutMs);
-    const [version, firmwarePage, networkStatus, rfStatus, rssi] = parseGatewayJson(response);
-    return {
-      version: version || null,
-      firmwarePage: firmwarePage || null,
-      networkStatus: networkStatus || null,
-      rfStatus: rfStatus || null,
-      rssi: Number.isFinite(Number(rssi)) ? Number(rssi) : null,
-    };
+    return parseGatewayMetadata(response);
   } catch (err) {
     return {
       error: err.message || String(err),
@@ -198,6 +331,31 @@ async function getGatewayMetadata(gateway, timeoutMs) {
   }
 }
 
+function resolveGatewayTarget(payload) {
+  const gateway = payload.gateway || {};
+  const host = normalizeHost(payload.host || gateway.host);
+  if (!host) {
+    throw new Error("Gateway host is required.");
+  }
+  return {
+    ...gateway,
+    host,
+    httpPort: Number(gateway.httpPort) || undefined,
+  };
+}
+
+function requireChannel(value) {
+  const channel = Number(value);
+  if (!Number.isInteger(channel) || channel < 1 || channel > 30) {
+    throw new Error(`Invalid RF channel: ${value}.`);
+  }
+  return channel;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
 function normalizeHost(host) {
   return String(host || "").trim().replace(/^https?:\/\//, "").replace(/\/+$/, "");
 }
@@ -0,0 +1,111 @@
+// Local-first PowerShades client that falls back to the cloud API.
+
+class HybridPowerShadesApiError extends Error {}
+
+class HybridPowerShadesApi {
+  constructor({
+    localApi,
+    cloudApi = null,
+    logger = console,
+  } = {}) {
+    if (!localApi) {
+      throw new HybridPowerShadesApiError("Hybrid control mode requires a local gateway client");
+    }
+    this.localApi = localApi;
+    this.cloudApi = cloudApi;
+    this.logger = logger;
+
+    if (!this.cloudApi) {
+      this.logger.warn?.("[PowerShades] Hybrid control mode has no cloud credentials; cloud fallback is disabled");
+    }
+  }
+
+  get gateways() {
+    return this.localApi.gateways;
+  }
+
+  async getShades() {
+    return this.localApi.getShades();
+  }
+
+  async getGroups() {
+    return this.localApi.getGroups();
+  }
+
+  async moveGroup(groupId, percentage) {
+    return this.localApi.moveGroup(groupId, percentage);
+  }
+
+  async moveShade(shadeOrName, percentage) {
+    try {
+      return await this.localApi.moveShade(shadeOrName, percentage);
+    } catch (localErr) {
+      const shade = this.localApi.findShade(shadeOrName);
+      const cloudName = resolveCloudShadeName(shade, shadeOrName);
+      if (!this.cloudApi || !cloudName) {
+        throw localErr;
+      }
+
+      const target = clampPosition(percentage);
+      this.logger.warn?.(
+        `[PowerShades] Local move failed (${localErr.message || localErr}); sending "${cloudName}" to ${target}% via cloud`
+      );
+      const result = await this.cloudApi.moveShade(cloudName, target);
+      if (shade?.gateway) {
+        // The gateway is down, so no feedback will settle a tracked move; hold the target instead.
+        this.localApi.applyOptimisticMove(shade, target);
+      }
+      return result;
+    }
+  }
+
+  async stopShade(shadeOrName) {
+    return this.localApi.stopShade(shadeOrName);
+  }
+
+  async recallFavoritePosition(shadeOrName) {
+    return this.localApi.recallFavoritePosition(shadeOrName);
+  }
+
+  async renameChannel(shadeOrName, name) {
+    return this.localApi.renameChannel(shadeOrName, name);
+  }
+
+  async getGatewayHealth() {
+    return this.localApi.getGatewayHealth();
+  }
+
+  startDebugWatch() {
+    this.localApi.startDebugWatch();
+  }
+
+  stopDebugWatch() {
+    this.localApi.stopDebugWatch();
+  }
+
+  isShadeMoving(shadeOrName) {
+    return this.localApi.isShadeMoving(shadeOrName);
+  }
+
+  getShadeDirection(shadeOrName) {
+    return this.localApi.getShadeDirection(shadeOrName);
+  }
+}
+
+function resolveCloudShadeName(shade, shadeOrName) {
+  if (shade) {
+    const name = shade.cloudName || shade.name;
+    return name ? String(name) : null;
+  }
+  return typeof shadeOrName === "string" && shadeOrName ? shadeOrName : null;
+}
+
+function clampPosition(value) {
+  return Math.max(0, Math.min(100, Number(value)));
+}
+
+module.exports = {
+  HybridPowerShadesApi,
+  HybridPowerShadesApiError,
+  resolveCloudShadeName,
+};
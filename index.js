@@ -1,7 +1,13 @@
 // Homebridge platform plugin for PowerShades.
 
+const path = require("path");
 const { PowerShadesApi } = require("./api");
 const { LocalPowerShadesApi } = require("./local-api");
+const { HybridPowerShadesApi } = require("./hybrid-api");
+const { createGatewayHostResolver } = require("./local-discovery");
+const { createCustomCharacteristics } = require("./custom-characteristics");
+const { mergeShadeAttributes } = require("./shade-attributes");
+const { LocalScheduler } = require("./local-scheduler");
 const {
   batteryLevelFromMillivolts,
   isLowBatteryMillivolts,
@@ -10,6 +16,8 @@ const {
 
 const PLUGIN_NAME = "homebridge-powershades";
 const PLATFORM_NAME = "PowerShades";
+const MOMENTARY_SWITCH_RESET_MS = 1000;
+const LOCAL_STATE_FILE = "powershades-local-state.json";
 
 module.exports = (homebridge) => {
   homebridge.registerPlatform(PLUGIN_NAME, PLATFORM_NAME, PowerShadesPlatform);
@@ -29,58 +37,130 @@ class PowerShadesPlatform {
     this.apiToken = this.config.apiToken;
     this.baseUrl = this.config.baseUrl;
     this.controlMode = resolveConfiguredControlMode(this.config);
-    this.isLocalMode = this.controlMode === "local-udp";
+    this.isHybridMode = this.controlMode === "hybrid";
+    this.isLocalMode = this.controlMode === "local-udp" || this.isHybridMode;
     this.shadeListCache = [];
     this.shadeListCacheTime = 0;
     this.shadeListCacheTTL = (Number(this.config.shadeListCacheTTL) || 300) * 1000;
     this.groupListCache = [];
     this.groupListCacheTime = 0;
     this.exposeGroups = this.config.exposeGroups || [];
+    this.sceneListCache = [];
+    this.exposeScenes = this.config.exposeScenes || [];
+    this.experimentalSceneSwitches = this.config.experimentalSceneSwitches === true;
+    this.scheduleListCache = [];
+    this.exposeSchedules = this.config.exposeSchedules || [];
+    this.experimentalScheduleSwitches = this.config.experimentalScheduleSwitches === true;
+    this.exposeGatewayHealth = this.isLocalMode && this.config.exposeGatewayHealth === true;
+    this.gatewayHealthCache = [];
+    this.offlineAfterFailures = Math.max(Number(this.config.offlineAfterFailures) || 3, 1);
+    this.syncNamesToGateway = this.isLocalMode && this.config.syncNamesToGateway === true;
+    this.cloudPollFailures = 0;
     this.lastActivityTime = 0;
+    this.lastScheduledMoveTime = 0;
     this.pollTimer = null;
+    this.localScheduler = null;
 
     if (this.isLocalMode) {
-      this.psApi = new LocalPowerShadesApi({
+      const cloudApi = this.hasCloudCredentials() ? this.createCloudApi() : null;
+      const localApi = new LocalPowerShadesApi({
         gateways: this.config.localGateways || this.config.gateways || [],
+        groups: this.config.localGroups || [],
         logger: this.log,
         requestTimeoutMs: this.config.localRequestTimeoutMs,
         statusCacheTTL: (Number(this.config.localStatusCacheTTL) || 30) * 1000,
         optimisticStatusHoldMs: this.config.localOptimisticStatusHoldMs,
+        motionSettleMs: this.config.localMotionSettleMs,
+        statePath: this.api?.user?.storagePath
+          ? path.join(this.api.user.storagePath(), LOCAL_STATE_FILE)
+          : null,
+        offlineAfterFailures: this.offlineAfterFailures,
+        watchDebugOutput: this.config.localWatchDebugOutput === true,
+        debugPollMs: this.config.localDebugPollMs,
+        onRemoteMove: () => {
+          // Moves sent by the app, schedules or other controllers: pick up the new target on the next fast poll.
+          this.lastActivityTime = Date.now();
+          this.restartPolling();
+        },
+        // Gateways with a serial are looked up again if their DHCP address changes.
+        resolveGatewayHost: createGatewayHostResolver({ cloudApi, logger: this.log }),
       });
-      if (!this.psApi.gateways.length) {
+      if (!localApi.gateways.length) {
         this.log.error("[PowerShades] Local control mode requires at least one configured local gateway");
         return;
       }
-    } else if (!this.apiToken && (!this.email || !this.password)) {
+      this.psApi = this.isHybridMode
+        ? new HybridPowerShadesApi({
+          localApi,
+          cloudApi,
+          logger: this.log,
+        })
+        : localApi;
+      if (Array.isArray(this.config.localSchedules) && this.config.localSchedules.length > 0) {
+        this.localScheduler = new LocalScheduler({
+          schedules: this.config.localSchedules,
+          latitude: this.config.latitude,
+          longitude: this.config.longitude,
+          api: this.psApi,
+          logger: this.log,
+          // HomeKit and remote moves count as manual; the scheduler's own moves do not.
+          getLastActivityTime: () => this.lastActivityTime,
+          onRun: () => {
+            this.lastScheduledMoveTime = Date.now();
+            this.restartPolling();
+          },
+        });
+      }
+    } else if (!this.hasCloudCredentials()) {
       // Cloud mode requires either API token OR email+password.
       this.log.error("[PowerShades] Missing credentials: provide either 'apiToken' OR 'email' and 'password' in config.json");
       return;
     } else {
-      this.psApi = new PowerShadesApi({
-        email: this.email,
-        password: this.password,
-        apiToken: this.apiToken,
-        baseUrl: this.baseUrl,
-        logger: this.log,
-        maxAuthFailures: this.config.maxAuthFailures,
-        authFailureBackoffMs: this.config.authFailureBackoffMs,
-        maxBackoffMs: this.config.maxBackoffMs,
-      });
+      this.psApi = this.createCloudApi();
     }
 
     if (this.api) {
       this.api.on("didFinishLaunching", async () => {
         this.log.info("[PowerShades] Homebridge launch finished; discovering shades...");
         await this.discoverShades();
+        await this.discoverGroups();
+        if (this.exposeGatewayHealth) {
+          await this.discoverGateways();
+        }
         if (!this.isLocalMode) {
-          await this.discoverGroups();
+          await this.discoverScenes();
+          await this.discoverSchedules();
         }
         await this.cleanupStaleAccessories();
         this.startPolling();
+        this.psApi.startDebugWatch?.();
+        this.localScheduler?.start();
+      });
+      this.api.on("shutdown", () => {
+        this.psApi?.stopDebugWatch?.();
+        this.localScheduler?.stop();
       });
     }
   }
 
+  hasCloudCredentials() {
+    return Boolean(this.apiToken || (this.email && this.password));
+  }
+
+  createCloudApi() {
+    return new PowerShadesApi({
+      email: this.email,
+      password: this.password,
+      apiToken: this.apiToken,
+      baseUrl: this.baseUrl,
+      logger: this.log,
+      maxAuthFailures: this.config.maxAuthFailures,
+      authFailureBackoffMs: this.config.authFailureBackoffMs,
+      maxBackoffMs: this.config.maxBackoffMs,
+      requestTimeoutMs: this.config.cloudRequestTimeoutMs,
+    });
+  }
+
   configureAccessory(accessory) {
     this.log.info("[PowerShades] Restoring cached accessory:", accessory.displayName);
     this.accessories.set(accessory.UUID, accessory);
@@ -89,13 +169,48 @@ class PowerShadesPlatform {
   async getCachedShades(forceRefresh = false) {
     const now = Date.now();
     if (this.isLocalMode || forceRefresh || !this.shadeListCache.length || (now - this.shadeListCacheTime) > this.shadeListCacheTTL) {
-      this.shadeListCache = await this.psApi.getShades();
+      try {
+        this.shadeListCache = await this.psApi.getShades();
+      } catch (err) {
+        this.recordCloudPollResult(false);
+        throw err;
+      }
+      this.recordCloudPollResult(true);
+      if (!this.isLocalMode) {
+        this.shadeListCache = await this.attachShadeAttributes(this.shadeListCache);
+      }
       this.shadeListCacheTime = now;
       this.log.debug(`[PowerShades] Refreshed shade list cache (${this.shadeListCache.length} shades)`);
     }
     return this.shadeListCache;
   }
 
+  async attachShadeAttributes(shades) {
+    // Battery, power source, signal and firmware are only in /shadeattributes/ in cloud mode.
+    try {
+      return mergeShadeAttributes(shades, await this.psApi.getShadeAttributes());
+    } catch (err) {
+      this.log.debug(`[PowerShades] Shade attributes unavailable: ${err.message || err}`);
+      return shades;
+    }
+  }
+
+  recordCloudPollResult(ok) {
+    // Local shades report reachability per gateway; this only tracks cloud shade list fetches.
+    if (this.isLocalMode) return;
+    if (ok) {
+      if (this.cloudPollFailures >= this.offlineAfterFailures) {
+        this.log.info("[PowerShades] Cloud API is reachable again");
+      }
+      this.cloudPollFailures = 0;
+      return;
+    }
+    this.cloudPollFailures += 1;
+    if (this.cloudPollFailures === this.offlineAfterFailures) {
+      this.log.error(`[PowerShades] Cloud API unreachable after ${this.cloudPollFailures} failed polls; shades will show No Response`);
+    }
+  }
+
   async discoverShades() {
     try {
       const shades = await this.getCachedShades(true);
@@ -119,14 +234,20 @@ class PowerShadesPlatform {
   }
 
   async discoverGroups() {
-    if (this.isLocalMode) {
-      this.log.info("[PowerShades] Shade groups are not available in local control mode");
-      return;
-    }
-
     try {
       const groups = await this.getCachedGroups(true);
 
+      // Local groups are defined in config, so every one of them is exposed.
+      if (this.isLocalMode) {
+        if (groups.length > 0) {
+          this.log.info(`[PowerShades] Exposing ${groups.length} local groups: ${groups.map(g => g.name).join(', ')}`);
+        }
+        for (const group of groups) {
+          this.registerGroupAccessory(group);
+        }
+        return;
+      }
+
       // Log all available groups for easy config setup
       if (groups.length > 0) {
         const groupNames = groups.map(g => g.name).join(', ');
@@ -138,7 +259,7 @@ class PowerShadesPlatform {
         return;
       }
 
-      const exposedGroups = groups.filter(g => this.exposeGroups.includes(g.name));
+      const exposedGroups = this.getExposedGroups(groups);
       this.log.info(`[PowerShades] Exposing ${exposedGroups.length} groups: ${exposedGroups.map(g => g.name).join(', ')}`);
 
       for (const group of exposedGroups) {
@@ -149,6 +270,106 @@ class PowerShadesPlatform {
     }
   }
 
+  getExposedGroups(groups) {
+    if (this.isLocalMode) return groups;
+    return groups.filter(g => this.exposeGroups.includes(g.name));
+  }
+
+  hasExposedGroups() {
+    return this.isLocalMode || (this.exposeGroups && this.exposeGroups.length > 0);
+  }
+
+  async discoverScenes() {
+    try {
+      const scenes = await this.psApi.getScenes();
+      this.sceneListCache = scenes;
+
+      if (scenes.length > 0) {
+        this.log.info(`[PowerShades] Available scenes: ${scenes.map(s => s.name).join(', ')}`);
+      }
+
+      if (this.exposeScenes.length > 0 && !this.experimentalSceneSwitches) {
+        this.log.warn(
+          "[PowerShades] Ignoring 'exposeScenes': scene switches use an unverified cloud endpoint; " +
+          "set 'experimentalSceneSwitches' to true to try them"
+        );
+        return;
+      }
+      if (!this.hasExposedScenes()) {
+        this.log.info("[PowerShades] No scenes configured to expose (use 'exposeScenes' in config)");
+        return;
+      }
+
+      const exposedScenes = this.getExposedScenes(scenes);
+      this.log.info(`[PowerShades] Exposing ${exposedScenes.length} scenes: ${exposedScenes.map(s => s.name).join(', ')}`);
+
+      for (const scene of exposedScenes) {
+        this.registerSceneAccessory(scene);
+      }
+    } catch (err) {
+      this.log.error("[PowerShades] Failed to fetch scenes:", err.message || err);
+    }
+  }
+
+  getExposedScenes(scenes) {
+    return scenes.filter(s => this.exposeScenes.includes(s.name));
+  }
+
+  hasExposedScenes() {
+    return !this.isLocalMode && this.experimentalSceneSwitches && this.exposeScenes && this.exposeScenes.length > 0;
+  }
+
+  async discoverSchedules() {
+    try {
+      const schedules = await this.psApi.getSchedules();
+      this.scheduleListCache = schedules;
+
+      if (schedules.length > 0) {
+        this.log.info(`[PowerShades] Available schedules: ${schedules.map(s => s.name).join(', ')}`);
+      }
+
+      if (this.exposeSchedules.length > 0 && !this.experimentalScheduleSwitches) {
+        this.log.warn(
+          "[PowerShades] Ignoring 'exposeSchedules': schedule switches use an unverified cloud endpoint; " +
+          "set 'experimentalScheduleSwitches' to true to try them"
+        );
+        return;
+      }
+      if (!this.hasExposedSchedules()) {
+        this.log.info("[PowerShades] No schedules configured to expose (use 'exposeSchedules' in config)");
+        return;
+      }
+
+      const exposedSchedules = this.getExposedSchedules(schedules);
+      this.log.info(`[PowerShades] Exposing ${exposedSchedules.length} schedules: ${exposedSchedules.map(s => s.name).join(', ')}`);
+
+      for (const schedule of exposedSchedules) {
+        this.registerScheduleAccessory(schedule);
+      }
+    } catch (err) {
+      this.log.error("[PowerShades] Failed to fetch schedules:", err.message || err);
+    }
+  }
+
+  getExposedSchedules(schedules) {
+    return schedules.filter(s => this.exposeSchedules.includes(s.name));
+  }
+
+  hasExposedSchedules() {
+    return !this.isLocalMode && this.experimentalScheduleSwitches && this.exposeSchedules && this.exposeSchedules.length > 0;
+  }
+
+  async discoverGateways() {
+    try {
+      this.gatewayHealthCache = await this.psApi.getGatewayHealth();
+      for (const gateway of this.gatewayHealthCache) {
+        this.registerGatewayAccessory(gateway);
+      }
+    } catch (err) {
+      this.log.error("[PowerShades] Failed to read gateway health:", err.message || err);
+    }
+  }
+
   async cleanupStaleAccessories() {
     try {
       // Build set of valid UUIDs for current shades and groups
@@ -162,15 +383,39 @@ class PowerShadesPlatform {
       }
 
       // Add UUIDs for exposed groups
-      if (!this.isLocalMode && this.exposeGroups && this.exposeGroups.length > 0) {
+      if (this.hasExposedGroups()) {
         const groups = await this.getCachedGroups(false);
-        const exposedGroups = groups.filter(g => this.exposeGroups.includes(g.name));
+        const exposedGroups = this.getExposedGroups(groups);
         for (const group of exposedGroups) {
           const uuid = this.api.hap.uuid.generate(`powershades-group-${group.id}`);
           validUUIDs.add(uuid);
         }
       }
 
+      // Add UUIDs for exposed scenes
+      if (this.hasExposedScenes()) {
+        for (const scene of this.getExposedScenes(this.sceneListCache)) {
+          const uuid = this.api.hap.uuid.generate(`powershades-scene-${scene.id}`);
+          validUUIDs.add(uuid);
+        }
+      }
+
+      // Add UUIDs for exposed schedules
+      if (this.hasExposedSchedules()) {
+        for (const schedule of this.getExposedSchedules(this.scheduleListCache)) {
+          const uuid = this.api.hap.uuid.generate(`powershades-schedule-${schedule.id}`);
+          validUUIDs.add(uuid);
+        }
+      }
+
+      // Add UUIDs for gateway health accessories
+      if (this.exposeGatewayHealth) {
+        for (const gateway of this.gatewayHealthCache) {
+          const uuid = this.api.hap.uuid.generate(`powershades-gateway-${gateway.id}`);
+          validUUIDs.add(uuid);
+        }
+      }
+
       // Remove accessories that are no longer valid
       const staleAccessories = [];
       for (const [uuid, accessory] of this.accessories.entries()) {
@@ -225,17 +470,173 @@ class PowerShadesPlatform {
 
     service
       .getCharacteristic(this.api.hap.Characteristic.CurrentPosition)
-      .onGet(() => this.handleGetGroupCurrentPosition(accessory));
+      .onGet(() => {
+        this.assertReachable(this.isGroupReachable(accessory.context.group));
+        return this.handleGetGroupCurrentPosition(accessory);
+      });
 
     service
       .getCharacteristic(this.api.hap.Characteristic.PositionState)
-      .onGet(() => this.handleGetPositionState(accessory));
+      .onGet(() => {
+        this.assertReachable(this.isGroupReachable(accessory.context.group));
+        return this.handleGetPositionState(accessory);
+      });
+
+    this.addStatusFaultCharacteristic(service)
+      .onGet(() => this.getStatusFault(this.isGroupReachable(accessory.context.group)));
 
     // Initialize positions (use average of shades in group)
     const current = this.getGroupAveragePosition(group);
     service.updateCharacteristic(this.api.hap.Characteristic.CurrentPosition, current);
     service.updateCharacteristic(this.api.hap.Characteristic.TargetPosition, current);
     service.updateCharacteristic(this.api.hap.Characteristic.PositionState, this.api.hap.Characteristic.PositionState.STOPPED);
+    service.updateCharacteristic(this.api.hap.Characteristic.StatusFault, this.getStatusFault(this.isGroupReachable(group)));
+  }
+
+  registerSceneAccessory(scene) {
+    const uuid = this.api.hap.uuid.generate(`powershades-scene-${scene.id}`);
+    let accessory = this.accessories.get(uuid);
+    if (accessory) {
+      this.log.info("[PowerShades] Updating existing scene accessory:", scene.name);
+      accessory.displayName = scene.name;
+      accessory.context.scene = scene;
+      this.api.updatePlatformAccessories([accessory]);
+    } else {
+      this.log.info("[PowerShades] Adding new scene accessory:", scene.name);
+      accessory = new this.api.platformAccessory(scene.name || "PowerShades Scene", uuid);
+      accessory.context.scene = scene;
+      this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory]);
+      this.accessories.set(uuid, accessory);
+    }
+
+    const infoService = accessory.getService(this.api.hap.Service.AccessoryInformation);
+    if (infoService) {
+      infoService.setCharacteristic(this.api.hap.Characteristic.Name, scene.name);
+    }
+
+    const service =
+      accessory.getService(this.api.hap.Service.Switch) ||
+      accessory.addService(this.api.hap.Service.Switch, scene.name || "PowerShades Scene");
+
+    service.setCharacteristic(this.api.hap.Characteristic.Name, scene.name);
+
+    // Scenes are momentary: the switch always reads off and resets itself after running.
+    service
+      .getCharacteristic(this.api.hap.Characteristic.On)
+      .onGet(() => false)
+      .onSet((value) => this.handleSetSceneOn(service, scene, value));
+
+    service.updateCharacteristic(this.api.hap.Characteristic.On, false);
+  }
+
+  registerScheduleAccessory(schedule) {
+    const uuid = this.api.hap.uuid.generate(`powershades-schedule-${schedule.id}`);
+    let accessory = this.accessories.get(uuid);
+    if (accessory) {
+      this.log.info("[PowerShades] Updating existing schedule accessory:", schedule.name);
+      accessory.displayName = schedule.name;
+      accessory.context.schedule = schedule;
+      this.api.updatePlatformAccessories([accessory]);
+    } else {
+      this.log.info("[PowerShades] Adding new schedule accessory:", schedule.name);
+      accessory = new this.api.platformAccessory(schedule.name || "PowerShades Schedule", uuid);
+      accessory.context.schedule = schedule;
+      this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory]);
+      this.accessories.set(uuid, accessory);
+    }
+
+    const infoService = accessory.getService(this.api.hap.Service.AccessoryInformation);
+    if (infoService) {
+      infoService.setCharacteristic(this.api.hap.Characteristic.Name, schedule.name);
+    }
+
+    const service =
+      accessory.getService(this.api.hap.Service.Switch) ||
+      accessory.addService(this.api.hap.Service.Switch, schedule.name || "PowerShades Schedule");
+
+    service.setCharacteristic(this.api.hap.Characteristic.Name, schedule.name);
+
+    // Schedule switches are stateful: on means the schedule will run, off suspends it.
+    service
+      .getCharacteristic(this.api.hap.Characteristic.On)
+      .onGet(() => isScheduleEnabled(accessory.context.schedule))
+      .onSet((value) => this.handleSetScheduleEnabled(accessory, value));
+
+    service.updateCharacteristic(this.api.hap.Characteristic.On, isScheduleEnabled(schedule));
+  }
+
+  registerGatewayAccessory(gateway) {
+    const uuid = this.api.hap.uuid.generate(`powershades-gateway-${gateway.id}`);
+    const name = `PowerShades Gateway ${gateway.serial || gateway.host}`;
+    let accessory = this.accessories.get(uuid);
+    if (accessory) {
+      this.log.info("[PowerShades] Updating existing gateway accessory:", name);
+      accessory.context.gateway = gateway;
+      this.api.updatePlatformAccessories([accessory]);
+    } else {
+      this.log.info("[PowerShades] Adding new gateway accessory:", name);
+      accessory = new this.api.platformAccessory(name, uuid);
+      accessory.context.gateway = gateway;
+      this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory]);
+      this.accessories.set(uuid, accessory);
+    }
+
+    const infoService = accessory.getService(this.api.hap.Service.AccessoryInformation);
+    if (infoService) {
+      infoService
+        .setCharacteristic(this.api.hap.Characteristic.Manufacturer, "PowerShades")
+        .setCharacteristic(this.api.hap.Characteristic.Model, "RF Gateway V2")
+        .setCharacteristic(this.api.hap.Characteristic.SerialNumber, String(gateway.serial || gateway.host));
+    }
+
+    const { GatewayFirmwareVersion, GatewayRssi } = createCustomCharacteristics(this.api.hap);
+    const service =
+      accessory.getService(this.api.hap.Service.ContactSensor) ||
+      accessory.addService(this.api.hap.Service.ContactSensor, name);
+    for (const characteristic of [GatewayFirmwareVersion, GatewayRssi]) {
+      if (!service.testCharacteristic(characteristic)) {
+        service.addCharacteristic(characteristic);
+      }
+    }
+
+    // Contact detected means the gateway is answering status requests.
+    service
+      .getCharacteristic(this.api.hap.Characteristic.ContactSensorState)
+      .onGet(() => this.getGatewayContactState(accessory.context.gateway));
+    service
+      .getCharacteristic(this.api.hap.Characteristic.StatusFault)
+      .onGet(() => this.getGatewayStatusFault(accessory.context.gateway));
+    service
+      .getCharacteristic(GatewayFirmwareVersion)
+      .onGet(() => String(accessory.context.gateway?.version || ""));
+    service
+      .getCharacteristic(GatewayRssi)
+      .onGet(() => getGatewayRssi(accessory.context.gateway));
+
+    this.updateGatewayAccessory(accessory, gateway);
+  }
+
+  updateGatewayAccessory(accessory, gateway) {
+    accessory.context.gateway = gateway;
+    const service = accessory.getService(this.api.hap.Service.ContactSensor);
+    if (!service) return;
+    const { GatewayFirmwareVersion, GatewayRssi } = createCustomCharacteristics(this.api.hap);
+    service.updateCharacteristic(this.api.hap.Characteristic.ContactSensorState, this.getGatewayContactState(gateway));
+    service.updateCharacteristic(this.api.hap.Characteristic.StatusFault, this.getGatewayStatusFault(gateway));
+    service.updateCharacteristic(GatewayFirmwareVersion, String(gateway.version || ""));
+    service.updateCharacteristic(GatewayRssi, getGatewayRssi(gateway));
+  }
+
+  getGatewayContactState(gateway) {
+    return gateway?.reachable
+      ? this.api.hap.Characteristic.ContactSensorState.CONTACT_DETECTED
+      : this.api.hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED;
+  }
+
+  getGatewayStatusFault(gateway) {
+    return gateway?.reachable
+      ? this.api.hap.Characteristic.StatusFault.NO_FAULT
+      : this.api.hap.Characteristic.StatusFault.GENERAL_FAULT;
   }
 
   registerShadeAccessory(shade) {
@@ -274,25 +675,65 @@ class PowerShadesPlatform {
 
     service
       .getCharacteristic(this.api.hap.Characteristic.CurrentPosition)
-      .onGet(() => this.handleGetCurrentPosition(accessory));
+      .onGet(() => {
+        this.assertReachable(this.isShadeReachable(accessory.context.shade));
+        return this.handleGetCurrentPosition(accessory);
+      });
 
     service
       .getCharacteristic(this.api.hap.Characteristic.PositionState)
-      .onGet(() => this.handleGetPositionState(accessory));
+      .onGet(() => {
+        this.assertReachable(this.isShadeReachable(accessory.context.shade));
+        return this.handleGetPositionState(accessory);
+      });
+
+    this.addStatusFaultCharacteristic(service)
+      .onGet(() => this.getStatusFault(this.isShadeReachable(accessory.context.shade)));
 
     // Initialize positions optimistically.
     const current = normalizePosition(shade);
     service.updateCharacteristic(this.api.hap.Characteristic.CurrentPosition, current);
     service.updateCharacteristic(this.api.hap.Characteristic.TargetPosition, current);
     service.updateCharacteristic(this.api.hap.Characteristic.PositionState, this.api.hap.Characteristic.PositionState.STOPPED);
+    service.updateCharacteristic(this.api.hap.Characteristic.StatusFault, this.getStatusFault(this.isShadeReachable(shade)));
     this.updateBatteryService(accessory, shade);
+    this.updateShadeDiagnostics(accessory, shade);
+    this.updateShadeControlServices(accessory, shade);
+    if (this.syncNamesToGateway) {
+      this.updateConfiguredName(accessory, service, shade);
+    }
+  }
+
+  updateConfiguredName(accessory, service, shade) {
+    const { ConfiguredName } = this.api.hap.Characteristic;
+    const isNew = !service.testCharacteristic(ConfiguredName);
+    const characteristic = this.addOptionalCharacteristic(service, ConfiguredName);
+    // Keep a name the user already chose in Home; only seed it the first time.
+    if (isNew) {
+      characteristic.updateValue(shade.name);
+    }
+    characteristic.onSet((value) => this.handleSetConfiguredName(accessory, value));
+  }
+
+  async handleSetConfiguredName(accessory, value) {
+    const shade = accessory.context.shade;
+    const name = String(value || "").trim();
+    if (!shade || !name) return;
+    try {
+      await this.psApi.renameChannel(shade, name);
+      this.log.info(`[PowerShades] Renamed "${shade.name}" to "${name}" on the gateway`);
+    } catch (err) {
+      // The HomeKit name still changes; only the gateway copy is left behind.
+      this.log.warn(`[PowerShades] Could not rename "${shade.name}" on the gateway: ${err.message || err}`);
+    }
   }
 
   async handleSetTargetPosition(accessory, shade, value) {
     const target = clampPosition(value);
-    const modeLabel = this.controlMode === "local-udp"
-      ? "via local UDP"
-      : "via cloud";
+    const modeLabel = {
+      "local-udp": "via local UDP",
+      hybrid: "via local UDP with cloud fallback",
+    }[this.controlMode] || "via cloud";
     this.log.info(`[PowerShades] Setting "${shade.name}" to ${target}% ${modeLabel}`);
     try {
       await this.psApi.moveShade(this.isLocalMode ? shade : shade.name, target);
@@ -309,21 +750,74 @@ class PowerShadesPlatform {
   updateShadeTargetState(accessory, target) {
     if (!accessory) return;
     const shade = accessory.context.shade || {};
+    // Tracked local moves keep reporting the last known position until gateway feedback catches up.
+    const current = this.isLocalMode && this.psApi?.isShadeMoving?.(shade)
+      ? normalizePosition(shade)
+      : target;
     accessory.context.shade = {
       ...shade,
-      current_position: target,
-      percentage: target,
-      position: target,
+      current_position: current,
+      percentage: current,
+      position: current,
       target_position: target,
     };
     const service = accessory.getService(this.api.hap.Service.WindowCovering);
     if (!service) return;
-    service.updateCharacteristic(this.api.hap.Characteristic.CurrentPosition, target);
+    service.updateCharacteristic(this.api.hap.Characteristic.CurrentPosition, current);
     service.updateCharacteristic(this.api.hap.Characteristic.TargetPosition, target);
-    service.updateCharacteristic(
-      this.api.hap.Characteristic.PositionState,
-      this.api.hap.Characteristic.PositionState.STOPPED,
-    );
+    service.updateCharacteristic(this.api.hap.Characteristic.PositionState, this.handleGetPositionState(accessory));
+  }
+
+  isShadeReachable(shade) {
+    // Local shades carry their gateway's reachability; cloud shades share the cloud poll's.
+    // Hybrid moves can still go through the cloud, but positions only come from the gateway,
+    // so an offline gateway keeps its shades faulted rather than reporting a frozen position.
+    if (this.isLocalMode) return shade?.reachable !== false;
+    return this.cloudPollFailures < this.offlineAfterFailures;
+  }
+
+  isGroupReachable(group) {
+    if (!this.isLocalMode) return this.isShadeReachable(null);
+    const members = (group?.shades || [])
+      .map((shadeId) => this.shadeListCache.find((shade) => shade.id === shadeId))
+      .filter(Boolean);
+    return !members.length || members.some((shade) => this.isShadeReachable(shade));
+  }
+
+  addStatusFaultCharacteristic(service) {
+    return this.addOptionalCharacteristic(service, this.api.hap.Characteristic.StatusFault);
+  }
+
+  addOptionalCharacteristic(service, Characteristic) {
+    // WindowCovering does not list StatusFault or ConfiguredName as optional, so declare them before use to avoid HAP warnings.
+    if (!service.optionalCharacteristics?.some((characteristic) => characteristic.UUID === Characteristic.UUID)) {
+      service.addOptionalCharacteristic(Characteristic);
+    }
+    return service.getCharacteristic(Characteristic);
+  }
+
+  getStatusFault(reachable) {
+    return reachable
+      ? this.api.hap.Characteristic.StatusFault.NO_FAULT
+      : this.api.hap.Characteristic.StatusFault.GENERAL_FAULT;
+  }
+
+  assertReachable(reachable) {
+    // Home shows "No Response" instead of a stale position.
+    if (!reachable) {
+      throw new this.api.hap.HapStatusError(this.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+    }
+  }
+
+  updateFaultStates() {
+    for (const accessory of this.accessories.values()) {
+      const service = accessory.getService(this.api.hap.Service.WindowCovering);
+      if (!service) continue;
+      const reachable = accessory.context.group
+        ? this.isGroupReachable(accessory.context.group)
+        : this.isShadeReachable(accessory.context.shade);
+      service.updateCharacteristic(this.api.hap.Characteristic.StatusFault, this.getStatusFault(reachable));
+    }
   }
 
   handleGetCurrentPosition(accessory) {
@@ -370,6 +864,51 @@ class PowerShadesPlatform {
     service.updateCharacteristic(this.api.hap.Characteristic.StatusLowBattery, this.getLowBatteryStatus(shade));
   }
 
+  updateShadeDiagnostics(accessory, shade) {
+    if (shade?.firmwareVersion) {
+      accessory.getService(this.api.hap.Service.AccessoryInformation)
+        ?.updateCharacteristic(this.api.hap.Characteristic.FirmwareRevision, String(shade.firmwareVersion));
+    }
+    const rssi = Number(shade?.rx);
+    if (shade?.rx === null || shade?.rx === undefined || !Number.isFinite(rssi)) return;
+    const { ShadeRssi } = createCustomCharacteristics(this.api.hap);
+    const service = accessory.getService(this.api.hap.Service.WindowCovering);
+    this.addOptionalCharacteristic(service, ShadeRssi)
+      .updateValue(Math.max(-150, Math.min(0, Math.round(rssi))));
+  }
+
+  updateShadeControlServices(accessory, shade) {
+    const coveringService = accessory.getService(this.api.hap.Service.WindowCovering);
+    const favoriteService = accessory.getServiceById(this.api.hap.Service.Switch, "favorite");
+    if (!this.shouldExposeShadeControls(shade)) {
+      if (coveringService?.testCharacteristic(this.api.hap.Characteristic.HoldPosition)) {
+        coveringService.removeCharacteristic(coveringService.getCharacteristic(this.api.hap.Characteristic.HoldPosition));
+      }
+      if (favoriteService) {
+        accessory.removeService(favoriteService);
+      }
+      return;
+    }
+
+    coveringService
+      .getCharacteristic(this.api.hap.Characteristic.HoldPosition)
+      .onSet((value) => this.handleSetHoldPosition(accessory, value));
+
+    const service = favoriteService || accessory.addService(this.api.hap.Service.Switch, `${shade.name} Favorite`, "favorite");
+    service.setCharacteristic(this.api.hap.Characteristic.Name, `${shade.name} Favorite`);
+    service
+      .getCharacteristic(this.api.hap.Characteristic.On)
+      .onGet(() => false)
+      .onSet((value) => this.handleSetFavoriteOn(accessory, service, value));
+  }
+
+  shouldExposeShadeControls(shade) {
+    // Stop and the motor favorite are RF gateway commands with no cloud API equivalent.
+    if (!this.isLocalMode) return false;
+    if (shade?.exposeControls !== undefined) return shade.exposeControls !== false;
+    return this.config.exposeShadeControls === true;
+  }
+
   shouldExposeBatteryForShade(shade) {
     return shouldExposeBatteryService(shade?.powerSource, shade?.batteryMillivolts);
   }
@@ -393,11 +932,43 @@ class PowerShadesPlatform {
       : this.api.hap.Characteristic.StatusLowBattery.BATTERY_LEVEL_NORMAL;
   }
 
-  async handleSetGroupTargetPosition(group, value) {
-    if (this.isLocalMode) {
-      throw new Error("Groups are not supported in local control mode");
+  async handleSetHoldPosition(accessory, value) {
+    if (!value) return;
+
+    const shade = accessory.context.shade;
+    this.log.info(`[PowerShades] Stopping "${shade.name}"`);
+    try {
+      await this.psApi.stopShade(shade);
+      this.updateShadeTargetState(accessory, normalizePosition(shade));
+      this.lastActivityTime = Date.now();
+      this.restartPolling();
+    } catch (err) {
+      this.log.error("[PowerShades] Stop failed:", err.message || err);
+      throw err;
+    }
+  }
+
+  async handleSetFavoriteOn(accessory, service, value) {
+    if (!value) return;
+
+    const shade = accessory.context.shade;
+    this.log.info(`[PowerShades] Recalling favorite position for "${shade.name}"`);
+    try {
+      await this.psApi.recallFavoritePosition(shade);
+      // Trigger fast polling so the gateway reports where the favorite position is
+      this.lastActivityTime = Date.now();
+      this.restartPolling();
+    } catch (err) {
+      this.log.error("[PowerShades] Favorite recall failed:", err.message || err);
+      throw err;
+    } finally {
+      setTimeout(() => {
+        service.updateCharacteristic(this.api.hap.Characteristic.On, false);
+      }, MOMENTARY_SWITCH_RESET_MS);
     }
+  }
 
+  async handleSetGroupTargetPosition(group, value) {
     const target = clampPosition(value);
     this.log.info(`[PowerShades] Setting group "${group.name}" to ${target}%`);
     try {
@@ -411,6 +982,43 @@ class PowerShadesPlatform {
     }
   }
 
+  async handleSetSceneOn(service, scene, value) {
+    if (!value) return;
+
+    this.log.info(`[PowerShades] Running scene "${scene.name}"`);
+    try {
+      await this.psApi.activateScene(scene.id);
+      // Trigger fast polling so shades moved by the scene update promptly
+      this.lastActivityTime = Date.now();
+      this.restartPolling();
+    } catch (err) {
+      this.log.error("[PowerShades] Scene failed:", err.message || err);
+      throw err;
+    } finally {
+      setTimeout(() => {
+        service.updateCharacteristic(this.api.hap.Characteristic.On, false);
+      }, MOMENTARY_SWITCH_RESET_MS);
+    }
+  }
+
+  async handleSetScheduleEnabled(accessory, value) {
+    const schedule = accessory.context.schedule;
+    const enabled = Boolean(value);
+
+    this.log.info(`[PowerShades] ${enabled ? "Enabling" : "Suspending"} schedule "${schedule.name}"`);
+    try {
+      await this.psApi.setScheduleEnabled(schedule.id, enabled);
+      accessory.context.schedule = { ...schedule, enabled };
+      this.scheduleListCache = this.scheduleListCache.map(s => (s.id === schedule.id ? accessory.context.schedule : s));
+    } catch (err) {
+      this.log.error("[PowerShades] Schedule update failed:", err.message || err);
+      // Put the switch back so Home does not show a state the cloud never took.
+      accessory.getService(this.api.hap.Service.Switch)
+        ?.updateCharacteristic(this.api.hap.Characteristic.On, isScheduleEnabled(schedule));
+      throw err;
+    }
+  }
+
   handleGetGroupCurrentPosition(accessory) {
     const group = accessory.context.group;
     return this.getGroupAveragePosition(group);
@@ -429,7 +1037,7 @@ class PowerShadesPlatform {
   }
 
   getCurrentPollInterval() {
-    const timeSinceActivity = (Date.now() - this.lastActivityTime) / 1000;
+    const timeSinceActivity = (Date.now() - Math.max(this.lastActivityTime, this.lastScheduledMoveTime)) / 1000;
     if (timeSinceActivity < this.fastPollDuration) {
       return this.fastPollInterval;
     }
@@ -478,13 +1086,13 @@ class PowerShadesPlatform {
         service.updateCharacteristic(this.api.hap.Characteristic.TargetPosition, target);
         service.updateCharacteristic(this.api.hap.Characteristic.PositionState, this.handleGetPositionState(accessory));
         this.updateBatteryService(accessory, shade);
+        this.updateShadeDiagnostics(accessory, shade);
       }
 
       // Poll groups
-      if (!this.isLocalMode && this.exposeGroups && this.exposeGroups.length > 0) {
+      if (this.hasExposedGroups()) {
         const groups = await this.getCachedGroups(false);
-        for (const group of groups) {
-          if (!this.exposeGroups.includes(group.name)) continue;
+        for (const group of this.getExposedGroups(groups)) {
           const uuid = this.api.hap.uuid.generate(`powershades-group-${group.id}`);
           const accessory = this.accessories.get(uuid);
           if (!accessory) continue;
@@ -496,8 +1104,34 @@ class PowerShadesPlatform {
           service.updateCharacteristic(this.api.hap.Characteristic.PositionState, this.api.hap.Characteristic.PositionState.STOPPED);
         }
       }
+      this.updateFaultStates();
+
+      // Poll schedules so changes made in the PowerShades dashboard show up in HomeKit
+      if (this.hasExposedSchedules()) {
+        this.scheduleListCache = await this.psApi.getSchedules();
+        for (const schedule of this.getExposedSchedules(this.scheduleListCache)) {
+          const uuid = this.api.hap.uuid.generate(`powershades-schedule-${schedule.id}`);
+          const accessory = this.accessories.get(uuid);
+          if (!accessory) continue;
+          accessory.context.schedule = schedule;
+          const service = accessory.getService(this.api.hap.Service.Switch);
+          service.updateCharacteristic(this.api.hap.Characteristic.On, isScheduleEnabled(schedule));
+        }
+      }
+
+      // Poll gateway health
+      if (this.exposeGatewayHealth) {
+        this.gatewayHealthCache = await this.psApi.getGatewayHealth();
+        for (const gateway of this.gatewayHealthCache) {
+          const uuid = this.api.hap.uuid.generate(`powershades-gateway-${gateway.id}`);
+          const accessory = this.accessories.get(uuid);
+          if (!accessory) continue;
+          this.updateGatewayAccessory(accessory, gateway);
+        }
+      }
     } catch (err) {
       this.log.error("[PowerShades] Poll failed:", err.message || err);
+      this.updateFaultStates();
     }
   }
 
@@ -506,6 +1140,17 @@ class PowerShadesPlatform {
   }
 }
 
+function isScheduleEnabled(schedule) {
+  // Schedules without an enabled flag run, so they read as on.
+  return schedule?.enabled !== false;
+}
+
+function getGatewayRssi(gateway) {
+  const rssi = Number(gateway?.rssi);
+  if (gateway?.rssi === null || gateway?.rssi === undefined || !Number.isFinite(rssi)) return -150;
+  return Math.max(-150, Math.min(0, Math.round(rssi)));
+}
+
 function normalizePosition(shade) {
   const val =
     shade?.current_position ??
@@ -532,6 +1177,7 @@ function clampPosition(value) {
 function normalizeControlMode(value) {
   const mode = String(value || "cloud").toLowerCase();
   if (mode === "local-udp" || mode === "udp" || mode === "local") return "local-udp";
+  if (mode === "hybrid" || mode === "local-cloud") return "hybrid";
   return "cloud";
 }
 
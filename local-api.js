@@ -1,10 +1,16 @@
 // Local-only PowerShades RF Gateway V2 client.
 
+const fs = require("fs");
 const http = require("http");
 const {
   DEFAULT_UDP_PORT,
   buildCommandPacket,
+  buildRenameChannelPacket,
   buildSetPositionPacket,
+  describeAckProblem,
+  describePacket,
+  parsePacket,
+  resequencePacket,
   sendUdpPacket,
 } = require("./local-udp-protocol");
 const {
@@ -15,16 +21,36 @@ const {
 } = require("./power-source");
 
 const DEFAULT_OPTIMISTIC_STATUS_HOLD_MS = 10 * 60 * 1000;
+const DEFAULT_MOTION_SETTLE_MS = 5000;
+const DEFAULT_MAX_MOTION_MS = 2 * 60 * 1000;
+const DEFAULT_DEBUG_POLL_MS = 1000;
+const DEFAULT_OFFLINE_AFTER_FAILURES = 3;
+const DEFAULT_UDP_RETRIES = 2;
+const GATEWAY_METADATA_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_RELOCATE_INTERVAL_MS = 10 * 60 * 1000;
+const MAX_RELOCATE_INTERVAL_MS = 60 * 60 * 1000;
+const POSITION_TOLERANCE = 2;
+const STATE_FILE_VERSION = 1;
 
 class LocalPowerShadesApiError extends Error {}
 
 class LocalPowerShadesApi {
   constructor({
     gateways = [],
+    groups = [],
     logger = console,
     requestTimeoutMs = 5000,
     statusCacheTTL = 30000,
     optimisticStatusHoldMs = DEFAULT_OPTIMISTIC_STATUS_HOLD_MS,
+    motionSettleMs = DEFAULT_MOTION_SETTLE_MS,
+    maxMotionMs = DEFAULT_MAX_MOTION_MS,
+    statePath = null,
+    offlineAfterFailures = DEFAULT_OFFLINE_AFTER_FAILURES,
+    watchDebugOutput = false,
+    debugPollMs = DEFAULT_DEBUG_POLL_MS,
+    onRemoteMove = null,
+    resolveGatewayHost = null,
+    relocateIntervalMs = DEFAULT_RELOCATE_INTERVAL_MS,
     requestFn,
     sendUdpFn,
   } = {}) {
@@ -32,13 +58,28 @@ class LocalPowerShadesApi {
     this.requestTimeoutMs = Math.max(Number(requestTimeoutMs) || 5000, 1000);
     this.statusCacheTTL = Math.max(Number(statusCacheTTL) || 30000, 1000);
     this.optimisticStatusHoldMs = Math.max(Number(optimisticStatusHoldMs) || DEFAULT_OPTIMISTIC_STATUS_HOLD_MS, 0);
+    this.motionSettleMs = Math.max(Number(motionSettleMs) || DEFAULT_MOTION_SETTLE_MS, 1000);
+    this.maxMotionMs = Math.max(Number(maxMotionMs) || DEFAULT_MAX_MOTION_MS, this.motionSettleMs);
+    this.offlineAfterFailures = Math.max(Number(offlineAfterFailures) || DEFAULT_OFFLINE_AFTER_FAILURES, 1);
+    this.watchDebugOutput = Boolean(watchDebugOutput);
+    this.debugPollMs = Math.max(Number(debugPollMs) || DEFAULT_DEBUG_POLL_MS, 250);
+    this.onRemoteMove = typeof onRemoteMove === "function" ? onRemoteMove : null;
+    this.resolveGatewayHost = typeof resolveGatewayHost === "function" ? resolveGatewayHost : null;
+    this.relocateIntervalMs = Math.max(Number(relocateIntervalMs) || DEFAULT_RELOCATE_INTERVAL_MS, 1000);
+    this.debugWatchTimer = null;
+    this.debugLinesByGateway = new Map();
     this.requestFn = requestFn || ((gateway, query) => requestGateway(gateway, query, this.requestTimeoutMs));
     this.sendUdpFn = sendUdpFn || sendUdpPacket;
     this.statusQueues = new Map();
     this.commandQueues = new Map();
     this.stateById = new Map();
+    this.statePath = statePath || null;
+    this.persistedState = loadStateFile(this.statePath, this.logger);
+    this.stateWriteQueue = Promise.resolve();
+    this.lastStateFingerprint = null;
     this.gateways = normalizeGateways(gateways);
     this.shades = flattenShades(this.gateways);
+    this.groups = normalizeLocalGroups(this.gateways, groups, this.logger);
 
     for (const shade of this.shades) {
       this.ensureShadeState(shade);
@@ -57,11 +98,42 @@ class LocalPowerShadesApi {
   }
 
   async getGroups() {
-    return [];
+    return this.groups.map((group) => ({
+      id: group.id,
+      name: group.name,
+      shades: group.members.map((member) => this.resolveGroupMemberShadeId(member)),
+      local: true,
+    }));
   }
 
-  async moveGroup() {
-    throw new LocalPowerShadesApiError("Groups are not supported in local control mode");
+  async moveGroup(groupId, percentage) {
+    const group = this.groups.find((candidate) => candidate.id === groupId);
+    if (!group) {
+      throw new LocalPowerShadesApiError(`Unknown local group: ${groupId}`);
+    }
+
+    const target = clampPosition(percentage);
+    this.logger.info?.(`[PowerShades] Local UDP group move "${group.name}" (${group.members.length} channels) to ${target}%`);
+    const results = await Promise.allSettled(group.members.map(async (member) => {
+      await this.sendSetPosition(member.gateway, member.channel, target);
+      const shade = this.shades.find((candidate) => candidate.gateway.id === member.gateway.id && candidate.channel === member.channel);
+      if (shade) this.beginMove(shade, target);
+    }));
+
+    const failures = results
+      .map((result, index) => [group.members[index], result])
+      .filter(([, result]) => result.status === "rejected");
+    if (failures.length) {
+      const details = failures
+        .map(([member, result]) => `${member.gateway.host} channel ${member.channel}: ${result.reason?.message || result.reason}`)
+        .join("; ");
+      throw new LocalPowerShadesApiError(`Local group "${group.name}" move failed for ${failures.length}/${group.members.length} channels: ${details}`);
+    }
+  }
+
+  resolveGroupMemberShadeId(member) {
+    const shade = this.shades.find((candidate) => candidate.gateway.id === member.gateway.id && candidate.channel === member.channel);
+    return shade ? shade.id : `local-${member.gateway.id}-${member.channel}`;
   }
 
   async moveShade(shadeOrName, percentage) {
@@ -71,10 +143,71 @@ class LocalPowerShadesApi {
     }
 
     const target = clampPosition(percentage);
-    const state = this.getState(shade);
 
     this.logger.info?.(`[PowerShades] Local UDP move "${shade.name}" channel ${shade.channel} to ${target}%`);
     await this.sendSetPosition(shade.gateway, shade.channel, target);
+    this.beginMove(shade, target);
+  }
+
+  async recallFavoritePosition(shadeOrName) {
+    const shade = this.findShade(shadeOrName);
+    if (!shade) {
+      throw new LocalPowerShadesApiError(`Unknown local shade: ${typeof shadeOrName === "string" ? shadeOrName : shadeOrName?.name}`);
+    }
+
+    this.logger.info?.(`[PowerShades] Local UDP p2 "${shade.name}" channel ${shade.channel}`);
+    await this.sendCommand(shade.gateway, "p2", shade.channel);
+    // The favorite position is stored in the motor, so only gateway feedback can say where it went.
+    shade.gateway.lastStatusRefresh = 0;
+  }
+
+  async renameChannel(shadeOrName, name) {
+    const shade = this.findShade(shadeOrName);
+    if (!shade) {
+      throw new LocalPowerShadesApiError(`Unknown local shade: ${typeof shadeOrName === "string" ? shadeOrName : shadeOrName?.name}`);
+    }
+
+    let packet;
+    try {
+      packet = buildRenameChannelPacket({ channel: shade.channel, name });
+    } catch (err) {
+      throw new LocalPowerShadesApiError(`Cannot rename channel ${shade.channel} to "${name}": ${err.message}`);
+    }
+
+    this.logger.info?.(`[PowerShades] Local UDP rename channel ${shade.channel} on ${shade.gateway.host} to "${name}"`);
+    await this.enqueueCommand(shade.gateway, () => this.sendUdp(shade.gateway, packet));
+    // Read chnames again on the next refresh so discovered shades pick up the new name.
+    shade.gateway.lastStatusRefresh = 0;
+  }
+
+  beginMove(shade, target) {
+    const state = this.getState(shade);
+    if (this.canEstimatePosition(shade, state)) {
+      this.startEstimate(shade, state, target);
+      return;
+    }
+
+    const current = normalizeMaybePosition(state.current_position) ?? state.lastReportedPosition;
+    // Channels that have never reported a position cannot be tracked, so trust the command instead.
+    if (state.lastReportedPosition === null || current === null || Math.abs(current - target) <= POSITION_TOLERANCE) {
+      this.applyOptimisticMove(shade, target);
+      return;
+    }
+
+    const now = Date.now();
+    state.target_position = target;
+    state.moving = true;
+    state.direction = directionBetween(current, target);
+    state.moveStartedAt = now;
+    state.lastPositionChangeAt = now;
+    state.motionObserved = false;
+    state.optimisticUntil = 0;
+    state.lastUpdated = now;
+    shade.gateway.lastStatusRefresh = 0;
+  }
+
+  applyOptimisticMove(shade, target) {
+    const state = this.getState(shade);
     state.current_position = target;
     state.target_position = target;
     state.moving = false;
@@ -82,44 +215,304 @@ class LocalPowerShadesApi {
     state.optimisticUntil = Date.now() + this.optimisticStatusHoldMs;
     state.lastUpdated = Date.now();
     shade.gateway.lastStatusRefresh = 0;
+    this.persistState();
+  }
+
+  canEstimatePosition(shade, state) {
+    // Travel-time estimates are only a stand-in for channels that never report real feedback.
+    return hasTravelTime(shade) && state.lastReportedPosition === null;
+  }
+
+  startEstimate(shade, state, target) {
+    const now = Date.now();
+    this.updateEstimate(state, now);
+    const from = normalizeMaybePosition(state.current_position);
+    if (from === null || from === target) {
+      state.estimate = null;
+      this.applyOptimisticMove(shade, target);
+      return;
+    }
+
+    const direction = directionBetween(from, target);
+    state.estimate = {
+      from,
+      to: target,
+      startedAt: now,
+      durationMs: Math.round((Math.abs(target - from) / 100) * travelTimeMs(shade, direction)),
+    };
+    state.target_position = target;
+    state.moving = true;
+    state.direction = direction;
+    state.optimisticUntil = 0;
+    state.lastUpdated = now;
+    this.persistState();
+  }
+
+  updateEstimate(state, now = Date.now()) {
+    const estimate = state.estimate;
+    if (!estimate) return;
+    const elapsed = Math.max(now - estimate.startedAt, 0);
+    const progress = estimate.durationMs > 0 ? Math.min(elapsed / estimate.durationMs, 1) : 1;
+    state.current_position = Math.round(estimate.from + ((estimate.to - estimate.from) * progress));
+    if (progress < 1) return;
+
+    state.estimate = null;
+    state.target_position = estimate.to;
+    state.moving = false;
+    state.direction = null;
+    state.lastUpdated = now;
+    this.persistState();
+  }
+
+  haltMove(shade) {
+    const state = this.getState(shade);
+    if (state.estimate) {
+      this.updateEstimate(state);
+      state.estimate = null;
+    }
+    state.moving = false;
+    state.direction = null;
+    state.target_position = state.current_position;
+    shade.gateway.lastStatusRefresh = 0;
+    this.persistState();
   }
 
   async stopShade(shadeOrName) {
     const shade = this.findShade(shadeOrName);
     if (!shade) return;
     await this.sendCommand(shade.gateway, "stop", shade.channel);
-    const state = this.getState(shade);
-    state.moving = false;
-    state.direction = null;
+    this.haltMove(shade);
   }
 
   isShadeMoving(shadeOrName) {
     const shade = this.findShade(shadeOrName);
     if (!shade) return false;
-    return Boolean(this.getState(shade).moving);
+    const state = this.getState(shade);
+    this.updateEstimate(state);
+    return Boolean(state.moving);
   }
 
   getShadeDirection(shadeOrName) {
     const shade = this.findShade(shadeOrName);
     if (!shade) return null;
-    return this.getState(shade).direction;
+    const state = this.getState(shade);
+    this.updateEstimate(state);
+    return state.direction;
   }
 
   async refreshShadeStates() {
     const now = Date.now();
     const gatewaysToRefresh = this.gateways.filter((gateway) => {
-      return !gateway.lastStatusRefresh || (now - gateway.lastStatusRefresh) >= this.statusCacheTTL;
+      const age = gateway.lastStatusRefresh ? now - gateway.lastStatusRefresh : Infinity;
+      // While a move is tracked, refresh more often than the status cache allows so motion shows
+      // between polls, but only a couple of times per settle window to spare the gateway.
+      if (this.hasMovingShades(gateway)) return age >= this.motionSettleMs / 2;
+      return age >= this.statusCacheTTL;
     });
 
     for (const gateway of gatewaysToRefresh) {
+      const refreshed = await this.refreshGateway(gateway);
+      // A lookup may sweep the LAN, so it runs beside the poll; the next refresh uses the new host.
+      if (!refreshed) this.scheduleRelocation(gateway);
+    }
+    this.expireTrackedMoves();
+  }
+
+  expireTrackedMoves(now = Date.now()) {
+    // Feedback normally ends a tracked move; when the gateway stops answering, time does.
+    for (const shade of this.shades) {
+      const state = this.getState(shade);
+      if (!state.moving || state.estimate || (now - state.moveStartedAt) < this.maxMotionMs) continue;
+      if (state.motionObserved) {
+        this.settleMove(state, normalizeMaybePosition(state.current_position));
+        this.persistState();
+      } else {
+        this.applyOptimisticMove(shade, normalizeMaybePosition(state.target_position));
+      }
+    }
+  }
+
+  async refreshGateway(gateway) {
+    try {
+      const status = await this.getGatewayStatus(gateway);
+      gateway.lastStatusRefresh = Date.now();
+      this.markGatewayReachable(gateway);
+      this.applyGatewayStatus(gateway, status);
+      return true;
+    } catch (err) {
+      this.logger.warn?.(`[PowerShades] Local status refresh failed for ${gateway.host}: ${err.message || err}`);
+      this.markGatewayFailure(gateway, err);
+      return false;
+    }
+  }
+
+  scheduleRelocation(gateway) {
+    if (gateway.relocation) return gateway.relocation;
+    gateway.relocation = this.relocateGateway(gateway)
+      .catch((err) => {
+        this.logger.warn?.(`[PowerShades] Gateway lookup failed for ${gateway.serial}: ${err.message || err}`);
+        return false;
+      })
+      .finally(() => {
+        gateway.relocation = null;
+      });
+    return gateway.relocation;
+  }
+
+  async relocateGateway(gateway) {
+    if (!this.resolveGatewayHost || !gateway.serial || this.isGatewayReachable(gateway)) return false;
+    const now = Date.now();
+    const delay = gateway.relocateDelayMs || this.relocateIntervalMs;
+    if (gateway.lastRelocateAttempt && (now - gateway.lastRelocateAttempt) < delay) return false;
+    gateway.lastRelocateAttempt = now;
+    // Each lookup that finds nothing doubles the wait before the next one.
+    gateway.relocateDelayMs = Math.min(delay * 2, Math.max(MAX_RELOCATE_INTERVAL_MS, this.relocateIntervalMs));
+
+    let host;
+    try {
+      host = await this.resolveGatewayHost(gateway);
+    } catch (err) {
+      this.logger.warn?.(`[PowerShades] Could not look up gateway ${gateway.serial}: ${err.message || err}`);
+      return false;
+    }
+    if (!host || host === gateway.host) return false;
+
+    this.logger.info?.(
+      `[PowerShades] Gateway ${gateway.serial} moved from ${gateway.host} to ${host}; update localGateways to keep the new address`
+    );
+    gateway.host = host;
+    gateway.lastStatusRefresh = 0;
+    gateway.relocateDelayMs = 0;
+    this.debugLinesByGateway.delete(gateway.id);
+    return true;
+  }
+
+  markGatewayReachable(gateway) {
+    if (!this.isGatewayReachable(gateway)) {
+      this.logger.info?.(`[PowerShades] Gateway ${gateway.host} is reachable again`);
+    }
+    gateway.consecutiveFailures = 0;
+    gateway.lastError = null;
+    gateway.lastSeenAt = Date.now();
+    gateway.relocateDelayMs = 0;
+  }
+
+  markGatewayFailure(gateway, err) {
+    gateway.consecutiveFailures += 1;
+    gateway.lastError = err.message || String(err);
+    if (gateway.consecutiveFailures === this.offlineAfterFailures) {
+      this.logger.error?.(`[PowerShades] Gateway ${gateway.host} is offline after ${gateway.consecutiveFailures} failed status refreshes`);
+    }
+  }
+
+  isGatewayReachable(gateway) {
+    return gateway.consecutiveFailures < this.offlineAfterFailures;
+  }
+
+  async getGatewayHealth() {
+    const now = Date.now();
+    for (const gateway of this.gateways) {
+      // Diagnostics are only read right after a successful status refresh.
+      if (gateway.consecutiveFailures > 0 || !gateway.lastSeenAt) continue;
+      if (gateway.lastMetadataRefresh && (now - gateway.lastMetadataRefresh) < GATEWAY_METADATA_TTL_MS) continue;
+      gateway.lastMetadataRefresh = now;
       try {
-        const status = await this.getGatewayStatus(gateway);
-        gateway.lastStatusRefresh = Date.now();
-        this.applyGatewayStatus(gateway, status);
+        const response = await this.enqueueStatus(gateway, () => this.requestFn(gateway, "var=version,curfwpg,netsts,rfsts,rssi"));
+        gateway.metadata = parseGatewayMetadata(response);
       } catch (err) {
-        this.logger.warn?.(`[PowerShades] Local status refresh failed for ${gateway.host}: ${err.message || err}`);
+        this.logger.debug?.(`[PowerShades] Gateway metadata read failed for ${gateway.host}: ${err.message || err}`);
+      }
+    }
+
+    return this.gateways.map((gateway) => ({
+      id: gateway.id,
+      host: gateway.host,
+      serial: gateway.serial,
+      reachable: this.isGatewayReachable(gateway),
+      consecutiveFailures: gateway.consecutiveFailures,
+      lastError: gateway.lastError,
+      lastSeenAt: gateway.lastSeenAt,
+      ...(gateway.metadata || {}),
+    }));
+  }
+
+  hasMovingShades(gateway) {
+    return this.shades.some((shade) => {
+      const state = this.getState(shade);
+      return shade.gateway.id === gateway.id && state.moving && !state.estimate;
+    });
+  }
+
+  startDebugWatch() {
+    if (!this.watchDebugOutput || this.debugWatchTimer) return;
+    this.logger.info?.(`[PowerShades] Watching gateway debug output every ${this.debugPollMs}ms`);
+    const schedule = () => {
+      this.debugWatchTimer = setTimeout(async () => {
+        for (const gateway of this.gateways) {
+          try {
+            await this.pollDebugOutput(gateway);
+          } catch (err) {
+            this.logger.debug?.(`[PowerShades] Debug output read failed for ${gateway.host}: ${err.message || err}`);
+          }
+        }
+        if (this.debugWatchTimer) schedule();
+      }, this.debugPollMs);
+      if (typeof this.debugWatchTimer.unref === "function") this.debugWatchTimer.unref();
+    };
+    schedule();
+  }
+
+  stopDebugWatch() {
+    if (this.debugWatchTimer) clearTimeout(this.debugWatchTimer);
+    this.debugWatchTimer = null;
+  }
+
+  async pollDebugOutput(gateway) {
+    const output = await this.getGatewayVariable(gateway, "dbg_out");
+    const lines = String(output).split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+    const seen = this.debugLinesByGateway.get(gateway.id);
+    this.debugLinesByGateway.set(gateway.id, new Set(lines));
+    // The first read only marks the existing log buffer as seen; those moves already happened.
+    if (!seen) return [];
+
+    const events = lines
+      .filter((line) => !seen.has(line))
+      .map(parseGatewayDebugLine)
+      .filter(Boolean);
+    const now = Date.now();
+    const moved = [];
+    for (const event of events) {
+      for (const channel of event.channels) {
+        const shade = this.shades.find((candidate) => candidate.gateway.id === gateway.id && candidate.channel === channel);
+        if (!shade) continue;
+        const state = this.getState(shade);
+        const recentlySeen = (now - state.lastDebugMoveAt) < this.motionSettleMs;
+        state.lastDebugMoveAt = now;
+        if (event.percent === null) {
+          // The RF frame carries no usable target; it only says the channel moved. Its SCH line,
+          // a move we sent, or an earlier copy of the frame (the gateway sends each one 3 times) covers it.
+          if (state.moving || state.estimate || recentlySeen) continue;
+          this.logger.debug?.(`[PowerShades] Gateway ${gateway.host} moved "${shade.name}"`);
+          gateway.lastStatusRefresh = 0;
+        } else {
+          if (this.isMovingTo(shade, event.percent)) continue;
+          this.logger.debug?.(`[PowerShades] Gateway ${gateway.host} sent "${shade.name}" to ${event.percent}%`);
+          this.beginMove(shade, event.percent);
+        }
+        if (!moved.includes(shade)) moved.push(shade);
       }
     }
+    if (moved.length && this.onRemoteMove) {
+      this.onRemoteMove(moved.map((shade) => this.decorateShade(shade)));
+    }
+    return events;
+  }
+
+  isMovingTo(shade, target) {
+    // Moves this client sent show up in the debug log too; they are already tracked.
+    const state = this.getState(shade);
+    if (normalizeMaybePosition(state.target_position) !== target) return false;
+    return Boolean(state.moving) || normalizeMaybePosition(state.current_position) === target;
   }
 
   async getGatewayStatus(gateway) {
@@ -176,14 +569,44 @@ class LocalPowerShadesApi {
   }
 
   async sendUdp(gateway, packet) {
-    return this.sendUdpFn({
-      host: gateway.host,
-      packet,
-      port: gateway.udpPort,
-      localPort: gateway.localUdpPort,
-      timeoutMs: gateway.udpTimeoutMs,
-      waitForResponse: gateway.waitForUdpResponse,
-    });
+    let attemptPacket = packet;
+    let problem = null;
+    for (let attempt = 0; attempt <= gateway.udpRetries; attempt += 1) {
+      if (attempt > 0) {
+        if (gateway.udpRetryNewSequence) {
+          attemptPacket = resequencePacket(attemptPacket, (attemptPacket[5] + 1) & 0xff);
+        }
+        this.logger.debug?.(`[PowerShades] Retrying UDP command to ${gateway.host} (${problem}), attempt ${attempt + 1}/${gateway.udpRetries + 1}`);
+      }
+
+      let result;
+      try {
+        result = await this.sendUdpFn({
+          host: gateway.host,
+          packet: attemptPacket,
+          port: gateway.udpPort,
+          localPort: gateway.localUdpPort,
+          timeoutMs: gateway.udpTimeoutMs,
+          waitForResponse: gateway.waitForUdpResponse,
+        });
+      } catch (err) {
+        // Socket errors such as EHOSTUNREACH are usually as brief as a lost echo; the last one is rethrown as is.
+        if (attempt === gateway.udpRetries) throw err;
+        problem = err.message || String(err);
+        continue;
+      }
+      // Without waiting for the echo there is nothing to verify.
+      if (!gateway.waitForUdpResponse) return result;
+      problem = describeAckProblem(attemptPacket, result?.response);
+      if (!problem) {
+        const ack = parsePacket(result.response);
+        this.logger.debug?.(`[PowerShades] Gateway ${gateway.host} acknowledged ${describePacket(ack)}`);
+        return { ...result, ack };
+      }
+    }
+    throw new LocalPowerShadesApiError(
+      `Gateway ${gateway.host} did not acknowledge UDP command after ${gateway.udpRetries + 1} attempt(s): ${problem}`
+    );
   }
 
   async enqueueStatus(gateway, task) {
@@ -220,28 +643,67 @@ class LocalPowerShadesApi {
 
       if (Number.isFinite(percent) && percent >= 0) {
         const reportedPosition = clampPosition(percent);
-        if (this.shouldAcceptGatewayPosition(state, reportedPosition)) {
+        if (state.moving) {
+          this.trackMotion(shade, state, reportedPosition);
+        } else if (this.shouldAcceptGatewayPosition(state, reportedPosition)) {
           state.current_position = reportedPosition;
-          if (!state.moving) {
-            state.target_position = state.current_position;
-          }
+          state.target_position = state.current_position;
           state.optimisticUntil = 0;
         } else {
           state.lastIgnoredPosition = reportedPosition;
         }
+        state.lastReportedPosition = reportedPosition;
       }
       state.batteryMillivolts = Number.isFinite(battery) && battery > 0 ? battery : null;
       state.rx = Number.isFinite(rx) && rx !== 0 ? rx : null;
       state.rfDeviceId = rfDeviceId && rfDeviceId !== "0" ? rfDeviceId : null;
       state.lastUpdated = Date.now();
     }
+    this.persistState();
   }
 
   shouldAcceptGatewayPosition(state, reportedPosition) {
     if (!state.optimisticUntil || Date.now() >= state.optimisticUntil) return true;
     const target = normalizeMaybePosition(state.target_position);
     if (target === null) return true;
-    return Math.abs(reportedPosition - target) <= 2;
+    return Math.abs(reportedPosition - target) <= POSITION_TOLERANCE;
+  }
+
+  trackMotion(shade, state, reportedPosition) {
+    const now = Date.now();
+    const target = normalizeMaybePosition(state.target_position) ?? reportedPosition;
+
+    if (Math.abs(reportedPosition - target) <= POSITION_TOLERANCE) {
+      this.settleMove(state, reportedPosition);
+      return;
+    }
+
+    if (reportedPosition !== state.lastReportedPosition) {
+      state.current_position = reportedPosition;
+      state.direction = directionBetween(reportedPosition, target);
+      state.motionObserved = true;
+      state.lastPositionChangeAt = now;
+    }
+
+    const stalled = (now - state.lastPositionChangeAt) >= this.motionSettleMs;
+    const expired = (now - state.moveStartedAt) >= this.maxMotionMs;
+    if (!stalled && !expired) return;
+
+    if (state.motionObserved) {
+      // The shade moved and then stopped short of the target, e.g. after a stop or an obstruction.
+      this.settleMove(state, reportedPosition);
+    } else {
+      // Feedback never changed, so it is probably stale; fall back to the optimistic target hold.
+      this.applyOptimisticMove(shade, target);
+    }
+  }
+
+  settleMove(state, position) {
+    state.current_position = position;
+    state.target_position = position;
+    state.moving = false;
+    state.direction = null;
+    state.optimisticUntil = 0;
   }
 
   refreshDiscoveredShades() {
@@ -260,6 +722,8 @@ class LocalPowerShadesApi {
           existing.batteryMinMillivolts = discovered.batteryMinMillivolts;
           existing.batteryMaxMillivolts = discovered.batteryMaxMillivolts;
           existing.lowBatteryMillivolts = discovered.lowBatteryMillivolts;
+          existing.travelTimeUpMs = discovered.travelTimeUpMs;
+          existing.travelTimeDownMs = discovered.travelTimeDownMs;
           continue;
         }
         this.shades.push(discovered);
@@ -278,6 +742,7 @@ class LocalPowerShadesApi {
 
   decorateShade(shade) {
     const state = this.getState(shade);
+    this.updateEstimate(state);
     const current = normalizeMaybePosition(state.current_position);
     const target = normalizeMaybePosition(state.target_position);
     const configuredPowerSource = normalizePowerSource(shade.powerSource);
@@ -302,6 +767,7 @@ class LocalPowerShadesApi {
       effectivePowerSource,
       rx: state.rx,
       rfDeviceId: state.rfDeviceId,
+      reachable: this.isGatewayReachable(shade.gateway),
       local: true,
     };
   }
@@ -324,14 +790,50 @@ class LocalPowerShadesApi {
       rfDeviceId: null,
       moving: false,
       direction: null,
+      moveStartedAt: 0,
+      lastPositionChangeAt: 0,
+      motionObserved: false,
+      lastReportedPosition: null,
+      estimate: null,
       optimisticUntil: 0,
       lastIgnoredPosition: null,
       lastUpdated: 0,
+      lastDebugMoveAt: 0,
     };
+    restorePersistedShadeState(state, this.persistedState[shade.id]);
     this.stateById.set(shade.id, state);
     return state;
   }
 
+  persistState() {
+    if (!this.statePath) return;
+    for (const shade of this.shades) {
+      if (!this.stateById.has(shade.id)) continue;
+      const state = this.stateById.get(shade.id);
+      this.persistedState[shade.id] = {
+        current_position: state.current_position,
+        target_position: state.target_position,
+        batteryMillivolts: state.batteryMillivolts,
+        estimate: state.estimate,
+        lastUpdated: state.lastUpdated,
+      };
+    }
+    // Status polls usually repeat the same values; only touch the file when more than timestamps changed.
+    const fingerprint = JSON.stringify(this.persistedState, (key, value) => (key === "lastUpdated" ? undefined : value));
+    if (fingerprint === this.lastStateFingerprint) return;
+    this.lastStateFingerprint = fingerprint;
+    const data = JSON.stringify({ version: STATE_FILE_VERSION, shades: this.persistedState }, null, 2);
+    this.stateWriteQueue = this.stateWriteQueue
+      .then(() => writeStateFile(this.statePath, data))
+      .catch((err) => {
+        this.logger.warn?.(`[PowerShades] Failed to save local shade state to ${this.statePath}: ${err.message || err}`);
+      });
+  }
+
+  async flushState() {
+    await this.stateWriteQueue;
+  }
+
   findShade(shadeOrName) {
     if (!shadeOrName) return null;
     if (typeof shadeOrName === "object" && shadeOrName.id) {
@@ -353,6 +855,7 @@ function normalizeGateways(gateways) {
         host: String(gateway.host).replace(/^https?:\/\//, "").replace(/\/+$/, ""),
         serial: gateway.serial,
         localAddress: gateway.localAddress,
+        httpPort: Number(gateway.httpPort) || undefined,
         configuredShades,
         shades: configuredShades,
         discoverChannels: gateway.discoverChannels !== undefined
@@ -364,12 +867,29 @@ function normalizeGateways(gateways) {
         localUdpPort: gateway.localUdpPort,
         udpTimeoutMs: Math.max(Number(gateway.udpTimeoutMs) || 1200, 250),
         waitForUdpResponse: gateway.waitForUdpResponse !== false,
+        udpRetries: normalizeRetryCount(gateway.udpRetries),
+        udpRetryNewSequence: gateway.udpRetryNewSequence === true,
+        groups: Array.isArray(gateway.groups) ? gateway.groups : [],
         lastStatusRefresh: 0,
         lastStatus: null,
+        consecutiveFailures: 0,
+        lastError: null,
+        lastSeenAt: 0,
+        metadata: null,
+        lastMetadataRefresh: 0,
+        lastRelocateAttempt: 0,
+        relocateDelayMs: 0,
+        relocation: null,
       };
     });
 }
 
+function normalizeRetryCount(value) {
+  if (value === undefined || value === null || value === "") return DEFAULT_UDP_RETRIES;
+  const count = Number(value);
+  return Number.isInteger(count) ? Math.max(0, Math.min(count, 5)) : DEFAULT_UDP_RETRIES;
+}
+
 function flattenShades(gateways) {
   const shades = [];
   for (const gateway of gateways) {
@@ -389,12 +909,66 @@ function flattenShades(gateways) {
         batteryMinMillivolts: normalizeMaybeNumber(rawShade.batteryMinMillivolts),
         batteryMaxMillivolts: normalizeMaybeNumber(rawShade.batteryMaxMillivolts),
         lowBatteryMillivolts: normalizeMaybeNumber(rawShade.lowBatteryMillivolts),
+        travelTimeUpMs: normalizeMaybeNumber(rawShade.travelTimeUpMs),
+        travelTimeDownMs: normalizeMaybeNumber(rawShade.travelTimeDownMs),
       });
     }
   }
   return shades;
 }
 
+function normalizeLocalGroups(gateways, groups, logger = null) {
+  const rawGroups = [
+    ...gateways.flatMap((gateway) => gateway.groups.map((group) => ({ group, gateway }))),
+    ...(Array.isArray(groups) ? groups : []).map((group) => ({ group, gateway: null })),
+  ];
+  const normalized = [];
+  const ids = new Set();
+  for (const { group, gateway } of rawGroups) {
+    if (!group || !group.name) continue;
+    // Gateway-level groups and single-gateway installs may list bare channel numbers.
+    const defaultGateway = gateway || (gateways.length === 1 ? gateways[0] : null);
+    const members = [];
+    const seen = new Set();
+    const addMember = (memberGateway, channel) => {
+      const ch = Number(channel);
+      if (!memberGateway || !Number.isInteger(ch) || ch < 1 || ch > 30) return;
+      const key = `${memberGateway.id}:${ch}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      members.push({ gateway: memberGateway, channel: ch });
+    };
+
+    for (const channel of Array.isArray(group.channels) ? group.channels : []) {
+      addMember(defaultGateway, channel);
+    }
+    for (const member of Array.isArray(group.members) ? group.members : []) {
+      if (!member) continue;
+      addMember(member.gateway ? findGateway(gateways, member.gateway) : defaultGateway, member.channel);
+    }
+    if (!members.length) continue;
+
+    // Gateway-level groups are scoped to their gateway, so the same name can be used on each one.
+    const id = group.id || (gateway ? `local-group-${gateway.id}-${group.name}` : `local-group-${group.name}`);
+    if (ids.has(id)) {
+      logger?.warn?.(`[PowerShades] Ignoring duplicate local group "${group.name}" (id ${id}); give it a different name`);
+      continue;
+    }
+    ids.add(id);
+    normalized.push({
+      id,
+      name: group.name,
+      members,
+    });
+  }
+  return normalized;
+}
+
+function findGateway(gateways, reference) {
+  const value = String(reference).replace(/^https?:\/\//, "").replace(/\/+$/, "");
+  return gateways.find((gateway) => gateway.id === value || gateway.serial === value || gateway.host === value) || null;
+}
+
 function normalizeConfiguredShades(shades) {
   if (!Array.isArray(shades)) return [];
   return shades
@@ -435,12 +1009,47 @@ function discoverChannels(gateway, status, explicitByChannel) {
       batteryMinMillivolts: normalizeMaybeNumber(explicit?.batteryMinMillivolts),
       batteryMaxMillivolts: normalizeMaybeNumber(explicit?.batteryMaxMillivolts),
       lowBatteryMillivolts: normalizeMaybeNumber(explicit?.lowBatteryMillivolts),
+      travelTimeUpMs: normalizeMaybeNumber(explicit?.travelTimeUpMs),
+      travelTimeDownMs: normalizeMaybeNumber(explicit?.travelTimeDownMs),
       rfDeviceId,
     });
   }
   return shades;
 }
 
+function parseGatewayDebugLine(line) {
+  const text = String(line || "");
+  const scheduled = text.match(/\bSCH\s+ExeNextAct\b.*?\bCH\[([0-9a-f]+)\].*?\bPCT\s+(\d+)/i);
+  if (scheduled) {
+    return debugMoveEvent("schedule", scheduled[1], Number(scheduled[2]));
+  }
+
+  const transmitted = text.match(/\bW433\s+TXP\[\d+\][^{]*?\s([0-9a-f]+)\s*\{([0-9a-f\s]+)\}/i);
+  if (transmitted) {
+    const bytes = transmitted[2].trim().split(/\s+/).map((byte) => parseInt(byte, 16));
+    // 02 04 40 is the set-position frame, but byte 4 is not the percent (a move to 100% sends 00),
+    // so these lines only mark channels as moved. Other RF frames are ignored.
+    if (bytes[0] !== 0x02 || bytes[1] !== 0x04 || bytes[2] !== 0x40) return null;
+    return debugMoveEvent("rf", transmitted[1], null);
+  }
+  return null;
+}
+
+function debugMoveEvent(source, mask, percent) {
+  const channels = channelsFromMask(parseInt(mask, 16));
+  if (!channels.length) return null;
+  if (percent !== null && (!Number.isInteger(percent) || percent < 0 || percent > 100)) return null;
+  return { source, channels, percent };
+}
+
+function channelsFromMask(mask) {
+  const channels = [];
+  for (let bit = 0; bit < 30; bit += 1) {
+    if ((mask >>> bit) & 1) channels.push(bit + 1);
+  }
+  return channels;
+}
+
 function normalizeGatewayChannelName(name, channel) {
   const value = String(name || "").trim();
   if (!value || value === "0" || value === `Channel ${channel}`) return null;
@@ -472,6 +1081,17 @@ function parseChannelValues(data, mapper = String) {
   return values.slice(0, 30).map((value) => mapper(value));
 }
 
+function parseGatewayMetadata(data) {
+  const [version, firmwarePage, networkStatus, rfStatus, rssi] = parseGatewayJson(data);
+  return {
+    version: version || null,
+    firmwarePage: firmwarePage || null,
+    networkStatus: networkStatus || null,
+    rfStatus: rfStatus || null,
+    rssi: Number.isFinite(Number(rssi)) && rssi !== "" ? Number(rssi) : null,
+  };
+}
+
 function parseGatewayChannelNames(chnames1 = "", chnames2 = "", chnames3 = "") {
   const groups = [chnames1, chnames2, chnames3].map((data, groupIndex) => {
     const values = String(data || "").split(":");
@@ -485,6 +1105,7 @@ function requestGateway(gateway, query, timeoutMs) {
   return new Promise((resolve, reject) => {
     const req = http.request({
       host: gateway.host,
+      port: gateway.httpPort,
       path: `/ajax.shtml?${query}`,
       method: "GET",
       timeout: timeoutMs,
@@ -524,6 +1145,60 @@ function normalizeMaybeNumber(value) {
   return Number.isFinite(num) ? num : undefined;
 }
 
+function hasTravelTime(shade) {
+  return shade?.travelTimeUpMs > 0 || shade?.travelTimeDownMs > 0;
+}
+
+function travelTimeMs(shade, direction) {
+  // A single configured travel time is used for both directions.
+  const up = shade.travelTimeUpMs > 0 ? shade.travelTimeUpMs : shade.travelTimeDownMs;
+  const down = shade.travelTimeDownMs > 0 ? shade.travelTimeDownMs : shade.travelTimeUpMs;
+  return direction === "opening" ? up : down;
+}
+
+function restorePersistedShadeState(state, saved) {
+  if (!saved || typeof saved !== "object") return;
+  const current = normalizeMaybePosition(saved.current_position);
+  const target = normalizeMaybePosition(saved.target_position);
+  if (current !== null) state.current_position = current;
+  if (target !== null) state.target_position = target;
+  if (Number.isFinite(saved.batteryMillivolts) && saved.batteryMillivolts > 0) {
+    state.batteryMillivolts = saved.batteryMillivolts;
+  }
+  if (Number.isFinite(saved.lastUpdated)) state.lastUpdated = saved.lastUpdated;
+
+  const estimate = saved.estimate;
+  if (estimate && [estimate.from, estimate.to, estimate.startedAt, estimate.durationMs].every(Number.isFinite)) {
+    state.estimate = { ...estimate };
+    state.moving = true;
+    state.direction = directionBetween(estimate.from, estimate.to);
+  }
+}
+
+function loadStateFile(statePath, logger) {
+  if (!statePath) return {};
+  try {
+    const parsed = JSON.parse(fs.readFileSync(statePath, "utf8"));
+    return parsed && typeof parsed.shades === "object" && parsed.shades ? parsed.shades : {};
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      logger.warn?.(`[PowerShades] Ignoring unreadable local shade state file ${statePath}: ${err.message || err}`);
+    }
+    return {};
+  }
+}
+
+async function writeStateFile(statePath, data) {
+  const tempPath = `${statePath}.tmp`;
+  await fs.promises.writeFile(tempPath, data);
+  await fs.promises.rename(tempPath, statePath);
+}
+
+function directionBetween(current, target) {
+  // PowerShades positions run from 0 (open) to 100 (closed).
+  return target < current ? "opening" : "closing";
+}
+
 function clampPosition(value) {
   return Math.max(0, Math.min(100, Number(value)));
 }
@@ -534,7 +1209,10 @@ module.exports = {
   parseGatewayJson,
   parseChannelValues,
   parseGatewayChannelNames,
+  parseGatewayDebugLine,
+  parseGatewayMetadata,
   normalizeGatewayChannelName,
   normalizeGateways,
+  normalizeLocalGroups,
   requestGateway,
 };
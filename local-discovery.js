@@ -0,0 +1,261 @@
+"use strict";
+
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const { parseGatewayMetadata, requestGateway } = require("./local-api");
+
+// The gateway's UDP protocol has no known discovery probe; every packet we know
+// about drives a channel. Discovery therefore sweeps the subnet over HTTP and keeps
+// hosts whose ajax.shtml answers the status variables an RF Gateway V2 reports.
+const GATEWAY_PROBE_QUERY = "var=version,curfwpg,netsts,rfsts,rssi";
+const DEFAULT_SCAN_TIMEOUT_MS = 800;
+const DEFAULT_SCAN_CONCURRENCY = 32;
+const MAX_SCAN_HOSTS = 1024;
+const MIN_SCAN_PREFIX = 22;
+// Interface subnets wider than this are narrowed to the block around our own address
+const INTERFACE_SCAN_PREFIX = 24;
+
+class LocalDiscoveryError extends Error {}
+
+async function scanForGateways({
+  subnets,
+  hosts,
+  httpPort,
+  timeoutMs = DEFAULT_SCAN_TIMEOUT_MS,
+  concurrency = DEFAULT_SCAN_CONCURRENCY,
+  interfaces = os.networkInterfaces(),
+  requestFn,
+  readArpTableFn = readArpTable,
+  logger = null,
+} = {}) {
+  const targets = hosts?.length
+    ? hosts.map((host) => ({ host: String(host).trim(), localAddress: undefined })).filter((target) => target.host)
+    : listScanTargets({ subnets, interfaces });
+  if (targets.length > MAX_SCAN_HOSTS) {
+    throw new LocalDiscoveryError(`Refusing to scan ${targets.length} hosts; narrow the subnet to ${MAX_SCAN_HOSTS} hosts or fewer`);
+  }
+
+  const probeTimeoutMs = Math.max(Number(timeoutMs) || DEFAULT_SCAN_TIMEOUT_MS, 100);
+  const request = requestFn || ((gateway, query) => requestGateway(gateway, query, probeTimeoutMs));
+  logger?.debug?.(`[PowerShades] Scanning ${targets.length} host(s) for RF gateways`);
+
+  const found = [];
+  await runWithConcurrency(targets, concurrency, async (target) => {
+    const gateway = await probeGateway({ ...target, httpPort }, request);
+    if (gateway) found.push(gateway);
+  });
+
+  const arp = found.length ? readArpTableFn() : new Map();
+  return found
+    .map((gateway) => ({ ...gateway, mac: arp.get(gateway.host) || null }))
+    .sort((a, b) => compareAddresses(a.host, b.host));
+}
+
+// Builds the lookup LocalPowerShadesApi uses when a gateway with a configured serial
+// stops answering. The cloud's gateway list is asked first, then the LAN is swept.
+function createGatewayHostResolver({
+  cloudApi = null,
+  scanFn = scanForGateways,
+  arpTableAvailable = hasArpTable,
+  logger = null,
+} = {}) {
+  return async (gateway) => {
+    if (cloudApi?.getGateways) {
+      try {
+        const host = findGatewayHost(await cloudApi.getGateways(), gateway.serial);
+        if (host) return host;
+      } catch (err) {
+        logger?.debug?.(`[PowerShades] Cloud gateway lookup failed: ${err.message || err}`);
+      }
+    }
+    // Gateways report neither serial nor MAC over HTTP, so a sweep can only match a
+    // MAC serial through the ARP table. Without one the sweep could never succeed.
+    if (!isMacAddress(gateway.serial) || !arpTableAvailable()) {
+      logger?.debug?.(`[PowerShades] Skipping LAN lookup for gateway ${gateway.serial}: it needs a MAC address serial and an ARP table`);
+      return null;
+    }
+    const found = await scanFn({ httpPort: gateway.httpPort, logger });
+    return findGatewayHost(found, gateway.serial);
+  };
+}
+
+function findGatewayHost(candidates, serial) {
+  const wanted = normalizeSerial(serial);
+  if (!wanted || !Array.isArray(candidates)) return null;
+  for (const candidate of candidates) {
+    const identifiers = [
+      candidate.serial,
+      candidate.serial_number,
+      candidate.mac,
+      candidate.mac_address,
+    ].map(normalizeSerial);
+    if (!identifiers.includes(wanted)) continue;
+    const host = candidate.host || candidate.ip_address || candidate.local_ip;
+    if (host) return String(host);
+  }
+  return null;
+}
+
+async function probeGateway(target, request) {
+  let response;
+  try {
+    response = await request({ host: target.host, httpPort: target.httpPort, localAddress: target.localAddress }, GATEWAY_PROBE_QUERY);
+  } catch {
+    return null;
+  }
+
+  let metadata;
+  try {
+    metadata = parseGatewayMetadata(response);
+  } catch {
+    return null;
+  }
+  if (!metadata.version || !/^\d+$/.test(metadata.version)) return null;
+
+  return {
+    host: target.host,
+    ...(target.httpPort ? { httpPort: Number(target.httpPort) } : {}),
+    localAddress: target.localAddress || null,
+    ...metadata,
+  };
+}
+
+function listScanTargets({ subnets, interfaces = os.networkInterfaces() } = {}) {
+  const ranges = subnets?.length
+    ? subnets.map((cidr) => ({ ...parseCidr(cidr), localAddress: undefined }))
+    : listInterfaceSubnets(interfaces);
+
+  const seen = new Set();
+  const targets = [];
+  for (const range of ranges) {
+    for (const host of expandRange(range)) {
+      if (seen.has(host) || host === range.localAddress) continue;
+      seen.add(host);
+      targets.push({ host, localAddress: range.localAddress });
+    }
+  }
+  return targets;
+}
+
+function listInterfaceSubnets(interfaces) {
+  const ranges = [];
+  for (const addresses of Object.values(interfaces || {})) {
+    for (const entry of addresses || []) {
+      if (entry.internal || (entry.family !== "IPv4" && entry.family !== 4)) continue;
+      if (entry.address.startsWith("169.254.")) continue;
+      const prefix = Math.max(netmaskToPrefix(entry.netmask), INTERFACE_SCAN_PREFIX);
+      ranges.push({
+        network: networkAddress(ipToInt(entry.address), prefix),
+        prefix,
+        localAddress: entry.address,
+      });
+    }
+  }
+  return ranges;
+}
+
+function parseCidr(cidr) {
+  const [address, rawPrefix = "24"] = String(cidr || "").trim().split("/");
+  const prefix = Number(rawPrefix);
+  if (!net.isIPv4(address) || !Number.isInteger(prefix) || prefix < 0 || prefix > 32) {
+    throw new LocalDiscoveryError(`Invalid subnet: ${cidr}`);
+  }
+  if (prefix < MIN_SCAN_PREFIX) {
+    throw new LocalDiscoveryError(`Subnet ${cidr} is too large to scan; use /${MIN_SCAN_PREFIX} or smaller`);
+  }
+  return { network: networkAddress(ipToInt(address), prefix), prefix };
+}
+
+function expandRange({ network, prefix }) {
+  const size = 2 ** (32 - prefix);
+  if (size <= 2) {
+    return Array.from({ length: size }, (_, index) => intToIp(network + index));
+  }
+  // Skip the network and broadcast addresses
+  return Array.from({ length: size - 2 }, (_, index) => intToIp(network + index + 1));
+}
+
+function readArpTable(path = "/proc/net/arp") {
+  const table = new Map();
+  let contents;
+  try {
+    contents = fs.readFileSync(path, "utf8");
+  } catch {
+    return table;
+  }
+  for (const line of contents.split("\n").slice(1)) {
+    const [ip, , flags, mac] = line.trim().split(/\s+/);
+    if (!ip || !mac || flags === "0x0" || mac === "00:00:00:00:00:00") continue;
+    table.set(ip, mac.toLowerCase());
+  }
+  return table;
+}
+
+async function runWithConcurrency(items, concurrency, worker) {
+  const limit = Math.max(Math.min(Number(concurrency) || DEFAULT_SCAN_CONCURRENCY, items.length), 1);
+  let next = 0;
+  const runners = Array.from({ length: limit }, async () => {
+    while (next < items.length) {
+      const item = items[next];
+      next += 1;
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+function netmaskToPrefix(netmask) {
+  if (!netmask) return 32;
+  return ipToInt(netmask).toString(2).replace(/0/g, "").length;
+}
+
+function networkAddress(address, prefix) {
+  if (prefix === 0) return 0;
+  const mask = (0xffffffff << (32 - prefix)) >>> 0;
+  return (address & mask) >>> 0;
+}
+
+function ipToInt(address) {
+  return address.split(".").reduce((value, octet) => ((value << 8) + Number(octet)) >>> 0, 0);
+}
+
+function intToIp(value) {
+  return [24, 16, 8, 0].map((shift) => (value >>> shift) & 0xff).join(".");
+}
+
+function hasArpTable(path = "/proc/net/arp") {
+  try {
+    fs.accessSync(path, fs.constants.R_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isMacAddress(value) {
+  return /^[0-9a-f]{12}$/.test(normalizeSerial(value));
+}
+
+function normalizeSerial(value) {
+  // Serials are compared without case or separators so a MAC matches in any notation.
+  return String(value || "").toLowerCase().replace(/[^0-9a-z]/g, "");
+}
+
+function compareAddresses(a, b) {
+  if (net.isIPv4(a) && net.isIPv4(b)) return ipToInt(a) - ipToInt(b);
+  return String(a).localeCompare(String(b));
+}
+
+module.exports = {
+  DEFAULT_SCAN_CONCURRENCY,
+  DEFAULT_SCAN_TIMEOUT_MS,
+  LocalDiscoveryError,
+  MAX_SCAN_HOSTS,
+  createGatewayHostResolver,
+  findGatewayHost,
+  listScanTargets,
+  parseCidr,
+  readArpTable,
+  scanForGateways,
+};
@@ -0,0 +1,331 @@
+"use strict";
+
+// Runs configured shade and group moves on a timetable without the cloud. Rules fire on a
+// five-field cron expression or at sunrise/sunset with an offset, both in the host's local
+// time; sun times are calculated from the configured latitude and longitude.
+const DAY_MS = 24 * 60 * 60 * 1000;
+// The timer is re-armed at least hourly, so a host clock change only delays a rule briefly.
+const MAX_TIMER_MS = 60 * 60 * 1000;
+// Yearly rules such as "0 8 29 2 *" can be years apart.
+const MAX_CRON_SEARCH_DAYS = 366 * 8;
+// Polar day and night can leave a sun rule with nothing to fire on for months.
+const MAX_SUN_SEARCH_DAYS = 366;
+// Official sunrise and sunset: the sun's upper edge on the horizon, allowing for refraction.
+const SUN_ZENITH = 90.833;
+const SUN_TRIGGERS = new Set(["sunrise", "sunset"]);
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+class LocalSchedulerError extends Error {}
+
+class LocalScheduler {
+  constructor({
+    schedules = [],
+    latitude,
+    longitude,
+    api,
+    logger = console,
+    getLastActivityTime = () => 0,
+    onRun = null,
+    now = Date.now,
+    setTimer = setTimeout,
+    clearTimer = clearTimeout,
+  } = {}) {
+    this.api = api;
+    this.logger = logger;
+    this.location = normalizeLocation(latitude, longitude);
+    this.getLastActivityTime = getLastActivityTime;
+    this.onRun = typeof onRun === "function" ? onRun : null;
+    this.now = now;
+    this.setTimer = setTimer;
+    this.clearTimer = clearTimer;
+    this.timer = null;
+    this.rules = [];
+
+    for (const [index, schedule] of (Array.isArray(schedules) ? schedules : []).entries()) {
+      if (!schedule || schedule.enabled === false) continue;
+      try {
+        this.rules.push(normalizeRule(schedule, index, this.location));
+      } catch (err) {
+        this.logger.warn?.(`[PowerShades] Ignoring local schedule "${schedule.name || index + 1}": ${err.message || err}`);
+      }
+    }
+  }
+
+  start() {
+    if (!this.rules.length) return;
+    const time = this.now();
+    for (const rule of this.rules) {
+      rule.nextRun = getNextRunTime(rule, time, this.location);
+      this.logger.info?.(`[PowerShades] Local schedule "${rule.name}" next runs ${formatRunTime(rule.nextRun)}`);
+    }
+    this.armTimer();
+  }
+
+  stop() {
+    if (this.timer) {
+      this.clearTimer(this.timer);
+      this.timer = null;
+    }
+  }
+
+  armTimer() {
+    this.stop();
+    const runs = this.rules.map((rule) => rule.nextRun).filter((run) => run !== null);
+    if (!runs.length) return;
+    const wait = Math.min(Math.max(Math.min(...runs) - this.now(), 0), MAX_TIMER_MS);
+    this.timer = this.setTimer(async () => {
+      this.timer = null;
+      await this.runDue();
+      this.armTimer();
+    }, wait);
+    this.timer?.unref?.();
+  }
+
+  async runDue(time = this.now()) {
+    const due = this.rules.filter((rule) => rule.nextRun !== null && rule.nextRun <= time);
+    for (const rule of due) {
+      // Runs missed while Homebridge was down are not caught up; only the latest one fires.
+      rule.nextRun = getNextRunTime(rule, time, this.location);
+      try {
+        await this.runRule(rule, time);
+      } catch (err) {
+        this.logger.error?.(`[PowerShades] Local schedule "${rule.name}" failed: ${err.message || err}`);
+      }
+    }
+    return due.map((rule) => rule.name);
+  }
+
+  async runRule(rule, time = this.now()) {
+    const lastActivity = Number(this.getLastActivityTime()) || 0;
+    if (rule.skipIfMovedWithinMs && lastActivity && time - lastActivity < rule.skipIfMovedWithinMs) {
+      const minutes = Math.round((time - lastActivity) / 60000);
+      this.logger.info?.(`[PowerShades] Skipping local schedule "${rule.name}": shades were moved ${minutes} minute(s) ago`);
+      return false;
+    }
+
+    const groups = rule.groups.length ? await this.api.getGroups() : [];
+    const moves = [
+      ...rule.shades.map((shade) => ({
+        label: `shade "${shade}"`,
+        run: () => this.api.moveShade(shade, rule.position),
+      })),
+      ...rule.groups.map((name) => {
+        const group = groups.find((candidate) => candidate.name === name || String(candidate.id) === name);
+        return {
+          label: `group "${name}"`,
+          run: () => {
+            if (!group) throw new LocalSchedulerError("no local group with that name");
+            return this.api.moveGroup(group.id, rule.position);
+          },
+        };
+      }),
+    ];
+
+    this.logger.info?.(`[PowerShades] Running local schedule "${rule.name}": ${moves.map((move) => move.label).join(", ")} to ${rule.position}%`);
+    const results = await Promise.allSettled(moves.map((move) => move.run()));
+    results.forEach((result, index) => {
+      if (result.status === "rejected") {
+        this.logger.error?.(`[PowerShades] Local schedule "${rule.name}" failed for ${moves[index].label}: ${result.reason?.message || result.reason}`);
+      }
+    });
+    this.onRun?.(rule);
+    return true;
+  }
+}
+
+function normalizeRule(schedule, index, location) {
+  const name = String(schedule.name || `Schedule ${index + 1}`);
+  const position = Number(schedule.position);
+  if (!Number.isFinite(position) || position < 0 || position > 100) {
+    throw new LocalSchedulerError("position must be between 0 and 100");
+  }
+  const shades = normalizeNameList(schedule.shades);
+  const groups = normalizeNameList(schedule.groups);
+  if (!shades.length && !groups.length) {
+    throw new LocalSchedulerError("at least one shade or group is required");
+  }
+
+  const trigger = String(schedule.trigger || "cron").toLowerCase();
+  const rule = {
+    name,
+    trigger,
+    position: Math.round(position),
+    shades,
+    groups,
+    skipIfMovedWithinMs: Math.max(Number(schedule.skipIfMovedWithinMinutes) || 0, 0) * 60000,
+    nextRun: null,
+  };
+
+  if (trigger === "cron") {
+    rule.cron = parseCronExpression(schedule.cron);
+  } else if (SUN_TRIGGERS.has(trigger)) {
+    if (!location) throw new LocalSchedulerError(`${trigger} schedules need latitude and longitude`);
+    rule.offsetMs = Math.round((Number(schedule.offsetMinutes) || 0) * 60000);
+    rule.days = parseCronField(schedule.days || "*", 0, 7, DAY_NAMES, "days");
+  } else {
+    throw new LocalSchedulerError(`unknown trigger "${schedule.trigger}"; use cron, sunrise or sunset`);
+  }
+  return rule;
+}
+
+function parseCronExpression(expression) {
+  const fields = String(expression || "").trim().split(/\s+/).filter(Boolean);
+  if (fields.length !== 5) {
+    throw new LocalSchedulerError(`cron expression "${expression || ""}" must have five fields: minute hour day month weekday`);
+  }
+  return {
+    minutes: parseCronField(fields[0], 0, 59, null, "minute"),
+    hours: parseCronField(fields[1], 0, 23, null, "hour"),
+    daysOfMonth: parseCronField(fields[2], 1, 31, null, "day of month"),
+    months: parseCronField(fields[3], 1, 12, MONTH_NAMES, "month"),
+    daysOfWeek: parseCronField(fields[4], 0, 7, DAY_NAMES, "weekday"),
+  };
+}
+
+function parseCronField(text, min, max, names, label) {
+  const values = new Set();
+  const source = String(text).trim().toLowerCase();
+  for (const part of source.split(",")) {
+    const match = /^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new LocalSchedulerError(`invalid ${label} "${text}"`);
+    const step = match[2] === undefined ? 1 : Number(match[2]);
+    let start = min;
+    let end = max;
+    if (match[1] !== "*") {
+      const [from, to] = match[1].split("-");
+      start = parseCronValue(from, min, max, names, label);
+      end = to === undefined ? (match[2] === undefined ? start : max) : parseCronValue(to, min, max, names, label);
+    }
+    if (step < 1 || start > end) throw new LocalSchedulerError(`invalid ${label} "${text}"`);
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  // Sunday is both 0 and 7 in weekday fields.
+  if (names === DAY_NAMES && values.delete(7)) values.add(0);
+  return { values, wildcard: source === "*" || source === "*/1" };
+}
+
+function parseCronValue(text, min, max, names, label) {
+  const named = names ? names.indexOf(text.slice(0, 3)) : -1;
+  const value = named >= 0 && /^[a-z]+$/.test(text) ? named + (names === MONTH_NAMES ? 1 : 0) : Number(text);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new LocalSchedulerError(`invalid ${label} "${text}"`);
+  }
+  return value;
+}
+
+function getNextRunTime(rule, after, location) {
+  const start = new Date(after);
+  if (rule.trigger === "cron") {
+    for (let offset = 0; offset < MAX_CRON_SEARCH_DAYS; offset += 1) {
+      const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset);
+      if (!matchesCronDay(rule.cron, day)) continue;
+      for (const hour of sortedValues(rule.cron.hours)) {
+        for (const minute of sortedValues(rule.cron.minutes)) {
+          const run = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute).getTime();
+          if (run > after) return run;
+        }
+      }
+    }
+    return null;
+  }
+
+  // Yesterday is checked too, since a negative offset can move tomorrow's event before midnight.
+  for (let offset = -1; offset < MAX_SUN_SEARCH_DAYS; offset += 1) {
+    const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset);
+    if (!rule.days.values.has(day.getDay())) continue;
+    const times = getSunTimes(day.getFullYear(), day.getMonth() + 1, day.getDate(), location.latitude, location.longitude);
+    const event = times[rule.trigger];
+    if (event === null) continue;
+    const run = event + rule.offsetMs;
+    if (run > after) return run;
+  }
+  return null;
+}
+
+function matchesCronDay(cron, day) {
+  if (!cron.months.values.has(day.getMonth() + 1)) return false;
+  const dayOfMonth = cron.daysOfMonth.values.has(day.getDate());
+  const dayOfWeek = cron.daysOfWeek.values.has(day.getDay());
+  // As in cron, a day matches either restricted day field when both are restricted.
+  if (cron.daysOfMonth.wildcard || cron.daysOfWeek.wildcard) return dayOfMonth && dayOfWeek;
+  return dayOfMonth || dayOfWeek;
+}
+
+// Sunrise and sunset for a calendar date, as epoch milliseconds, using the sunrise equation
+// from the Almanac for Computers (accurate to about a minute outside the polar regions).
+// Either time is null on days the sun stays above or below the horizon.
+function getSunTimes(year, month, day, latitude, longitude) {
+  const dayOfYear = Math.round((Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 0)) / DAY_MS);
+  const midnight = Date.UTC(year, month - 1, day);
+  const event = (rising) => {
+    const hours = sunEventHours(dayOfYear, latitude, longitude, rising);
+    return hours === null ? null : midnight + Math.round(hours * 60 * 60 * 1000);
+  };
+  return { sunrise: event(true), sunset: event(false) };
+}
+
+function sunEventHours(dayOfYear, latitude, longitude, rising) {
+  const lngHour = longitude / 15;
+  const t = dayOfYear + ((rising ? 6 : 18) - lngHour) / 24;
+  const meanAnomaly = 0.9856 * t - 3.289;
+  const trueLongitude = normalizeDegrees(meanAnomaly + 1.916 * sinDeg(meanAnomaly) + 0.020 * sinDeg(2 * meanAnomaly) + 282.634);
+  let rightAscension = normalizeDegrees(radToDeg(Math.atan(0.91764 * Math.tan(degToRad(trueLongitude)))));
+  rightAscension += Math.floor(trueLongitude / 90) * 90 - Math.floor(rightAscension / 90) * 90;
+  rightAscension /= 15;
+
+  const sinDeclination = 0.39782 * sinDeg(trueLongitude);
+  const cosDeclination = Math.cos(Math.asin(sinDeclination));
+  const cosHourAngle = (Math.cos(degToRad(SUN_ZENITH)) - sinDeclination * sinDeg(latitude)) / (cosDeclination * Math.cos(degToRad(latitude)));
+  if (cosHourAngle > 1 || cosHourAngle < -1) return null;
+
+  const hourAngle = (rising ? 360 - radToDeg(Math.acos(cosHourAngle)) : radToDeg(Math.acos(cosHourAngle))) / 15;
+  const localMeanTime = (((hourAngle + rightAscension - 0.06571 * t - 6.622) % 24) + 24) % 24;
+  // Left outside 0-24 on purpose: far from Greenwich the event falls on the previous or next UTC day.
+  return localMeanTime - lngHour;
+}
+
+function normalizeLocation(latitude, longitude) {
+  if ([latitude, longitude].some((value) => value === undefined || value === null || value === "")) return null;
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { latitude: lat, longitude: lng };
+}
+
+function normalizeNameList(value) {
+  const list = Array.isArray(value) ? value : value === undefined || value === null ? [] : [value];
+  return list.map((entry) => String(entry).trim()).filter(Boolean);
+}
+
+function sortedValues(field) {
+  return [...field.values].sort((a, b) => a - b);
+}
+
+function formatRunTime(time) {
+  return time === null ? "never" : `at ${new Date(time).toLocaleString()}`;
+}
+
+function normalizeDegrees(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
+
+function sinDeg(degrees) {
+  return Math.sin(degToRad(degrees));
+}
+
+function degToRad(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+function radToDeg(radians) {
+  return (radians * 180) / Math.PI;
+}
+
+module.exports = {
+  LocalScheduler,
+  LocalSchedulerError,
+  getNextRunTime,
+  getSunTimes,
+  parseCronExpression,
+};
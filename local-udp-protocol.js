@@ -7,6 +7,9 @@ const DEFAULT_TIMEOUT_MS = 1200;
 const MAX_CHANNEL = 30;
 const MAX_PERCENT = 100;
 const RENAME_NAME_BYTES = 50;
+const HEADER_BYTES = 8;
+const SET_POSITION_COMMAND = 0x1a;
+const RENAME_CHANNEL_COMMAND = 0x3b;
 
 const COMMANDS = Object.freeze({
   up: 0x03,
@@ -17,6 +20,16 @@ const COMMANDS = Object.freeze({
   link: 0x21,
 });
 
+const COMMAND_NAMES = Object.freeze({
+  0x03: "up",
+  0x04: "down",
+  0x05: "stop",
+  0x16: "p2",
+  [SET_POSITION_COMMAND]: "set-position",
+  0x21: "link-feedback",
+  [RENAME_CHANNEL_COMMAND]: "rename-channel",
+});
+
 class PowerShadesUdpProtocolError extends Error {}
 
 function buildCommandPacket({ command, channel, sequence = nextSequence() }) {
@@ -33,7 +46,7 @@ function buildCommandPacket({ command, channel, sequence = nextSequence() }) {
 function buildSetPositionPacket({ channel, percent, sequence = nextSequence() }) {
   const packet = Buffer.alloc(18);
   packet.writeUInt16LE(10, 0);
-  packet[4] = 0x1a;
+  packet[4] = SET_POSITION_COMMAND;
   packet[5] = normalizeSequence(sequence);
   packet.writeUInt16LE(normalizeChannel(channel), 6);
   packet.writeUInt16LE(1, 8);
@@ -45,7 +58,7 @@ function buildSetPositionPacket({ channel, percent, sequence = nextSequence() })
 function buildRenameChannelPacket({ channel, name, sequence = nextSequence() }) {
   const packet = Buffer.alloc(58);
   packet.writeUInt16LE(50, 0);
-  packet[4] = 0x3b;
+  packet[4] = RENAME_CHANNEL_COMMAND;
   packet[5] = normalizeSequence(sequence);
   packet.writeUInt16LE(normalizeChannel(channel), 6);
   writePaddedAscii(packet, 8, RENAME_NAME_BYTES, normalizeName(name));
@@ -53,6 +66,67 @@ function buildRenameChannelPacket({ channel, name, sequence = nextSequence() })
   return packet;
 }
 
+function resequencePacket(packet, sequence) {
+  const copy = Buffer.from(packet);
+  copy[5] = normalizeSequence(sequence);
+  return writeChecksum(copy);
+}
+
+function parsePacket(packet) {
+  if (!Buffer.isBuffer(packet) || packet.length < HEADER_BYTES) {
+    throw new PowerShadesUdpProtocolError(`Packet too short (${Buffer.isBuffer(packet) ? packet.length : 0} bytes)`);
+  }
+  const length = packet.readUInt16LE(0);
+  if (length !== packet.length - HEADER_BYTES) {
+    throw new PowerShadesUdpProtocolError(
+      `Packet length field ${length} does not match ${packet.length - HEADER_BYTES} payload bytes`
+    );
+  }
+  const checksum = packet.readUInt16LE(2);
+  if (checksum !== checksumPacket(packet)) {
+    throw new PowerShadesUdpProtocolError("Packet checksum mismatch");
+  }
+
+  const command = packet[4];
+  const payload = packet.subarray(HEADER_BYTES);
+  return {
+    length,
+    checksum,
+    command,
+    commandName: COMMAND_NAMES[command] || null,
+    sequence: packet[5],
+    channel: packet.readUInt16LE(6),
+    payload: decodePayload(command, payload),
+    payloadHex: payload.length ? packetToHex(payload) : "",
+  };
+}
+
+function describePacket(parsed) {
+  const name = parsed.commandName || `command 0x${hexByte(parsed.command)}`;
+  const parts = [`${name} channel ${parsed.channel} sequence 0x${hexByte(parsed.sequence)}`];
+  if (parsed.payload?.percent !== undefined) parts.push(`${parsed.payload.percent}%`);
+  if (parsed.payload?.name !== undefined) parts.push(`"${parsed.payload.name}"`);
+  if (parsed.payload?.type === "unknown") parts.push(`payload ${parsed.payloadHex}`);
+  return parts.join(" ");
+}
+
+function describeAckProblem(packet, response) {
+  if (!Buffer.isBuffer(response) || response.length === 0) return "no response";
+  let ack;
+  try {
+    ack = parsePacket(response);
+  } catch (err) {
+    return `invalid response: ${err.message}`;
+  }
+  if (ack.command !== packet[4]) {
+    return `response command 0x${hexByte(ack.command)} does not match 0x${hexByte(packet[4])}`;
+  }
+  if (ack.sequence !== packet[5]) {
+    return `response sequence 0x${hexByte(ack.sequence)} does not match 0x${hexByte(packet[5])}`;
+  }
+  return null;
+}
+
 function checksumPacket(packet) {
   if (!Buffer.isBuffer(packet) || packet.length < 4) {
     throw new PowerShadesUdpProtocolError("Packet must be a Buffer of at least 4 bytes");
@@ -142,6 +216,29 @@ function packetToHex(packet) {
   return Buffer.from(packet).toString("hex").replace(/../g, "$& ").trim();
 }
 
+function decodePayload(command, payload) {
+  if (command === SET_POSITION_COMMAND && payload.length >= 4) {
+    return {
+      type: "set-position",
+      mode: payload.readUInt16LE(0),
+      percent: payload.readUInt16LE(2),
+    };
+  }
+  if (command === RENAME_CHANNEL_COMMAND) {
+    const end = payload.indexOf(0);
+    return {
+      type: "rename-channel",
+      name: payload.subarray(0, end === -1 ? payload.length : end).toString("ascii"),
+    };
+  }
+  // Movement and feedback commands carry no payload; anything else has not been decoded yet.
+  return payload.length ? { type: "unknown" } : null;
+}
+
+function hexByte(value) {
+  return value.toString(16).padStart(2, "0");
+}
+
 function nextSequence() {
   return Date.now() & 0xff;
 }
@@ -187,6 +284,10 @@ function normalizeName(name) {
   if (!/^[\x20-\x7e]+$/.test(value)) {
     throw new PowerShadesUdpProtocolError("Name must contain printable ASCII characters only");
   }
+  // chnames1-3 report channel names joined with colons, so a colon would split the name.
+  if (value.includes(":")) {
+    throw new PowerShadesUdpProtocolError("Name must not contain ':'");
+  }
   if (Buffer.byteLength(value, "ascii") >= RENAME_NAME_BYTES) {
     throw new PowerShadesUdpProtocolError(`Name must be ${RENAME_NAME_BYTES - 1} ASCII bytes or fewer`);
   }
@@ -214,6 +315,7 @@ function writePaddedAscii(packet, offset, length, value) {
 
 module.exports = {
   COMMANDS,
+  COMMAND_NAMES,
   DEFAULT_UDP_PORT,
   DEFAULT_TIMEOUT_MS,
   PowerShadesUdpProtocolError,
@@ -222,7 +324,11 @@ module.exports = {
   buildSetPositionPacket,
   checksumPacket,
   crc16Ccitt,
+  describeAckProblem,
+  describePacket,
   nextSequence,
   packetToHex,
+  parsePacket,
+  resequencePacket,
   sendUdpPacket,
 };
@@ -0,0 +1,100 @@
+"use strict";
+
+const {
+  POWER_SOURCE_AUTO,
+  POWER_SOURCE_BATTERY,
+  POWER_SOURCE_HARDWIRED,
+} = require("./power-source");
+
+// The shape of /shadeattributes/ records is undocumented, so both one record per attribute
+// ({ shade, attribute, value }) and one record per shade with named fields are accepted.
+// Attribute names are matched without case or separators.
+const BATTERY_VOLTAGE_KEYS = new Set(["batteryvoltage", "batterymillivolts", "batterymv", "voltage"]);
+const BATTERY_LEVEL_KEYS = new Set(["battery", "batterylevel", "batterypercent", "batterypercentage"]);
+const POWER_SOURCE_KEYS = new Set(["powersource", "powertype", "power"]);
+const SIGNAL_KEYS = new Set(["rssi", "signal", "signalstrength", "rx"]);
+const FIRMWARE_KEYS = new Set(["firmware", "firmwareversion", "firmwarerevision", "fwversion", "version"]);
+// Values below this are volts rather than millivolts.
+const MAX_VOLTS = 100;
+
+function indexShadeAttributes(records) {
+  const byShade = new Map();
+  for (const record of Array.isArray(records) ? records : []) {
+    if (!record || typeof record !== "object") continue;
+    const isPair = record.attribute !== undefined || (record.name !== undefined && record.value !== undefined);
+    const shadeId = record.shade_id ?? record.shade ?? (isPair ? null : record.id);
+    if (shadeId === null || shadeId === undefined || typeof shadeId === "object") continue;
+
+    const key = String(shadeId);
+    const attributes = byShade.get(key) || {};
+    const entries = isPair
+      ? [[record.attribute ?? record.name, record.value]]
+      : Object.entries(record);
+    for (const [name, value] of entries) {
+      applyAttribute(attributes, normalizeKey(name), value);
+    }
+    byShade.set(key, attributes);
+  }
+  return byShade;
+}
+
+// Returns copies of the cloud shades with battery, power source, signal and firmware fields
+// named like the local API's shades, so the same battery and power-source handling applies.
+function mergeShadeAttributes(shades, records) {
+  const byShade = indexShadeAttributes(records);
+  return (Array.isArray(shades) ? shades : []).map((shade) => {
+    const attributes = byShade.get(String(shade?.id));
+    if (!attributes) return shade;
+    const merged = { ...shade, ...attributes };
+    if (!merged.powerSource) {
+      // A reported level without a voltage still means the shade runs on a battery.
+      merged.powerSource = attributes.batteryLevel !== undefined && attributes.batteryMillivolts === undefined
+        ? POWER_SOURCE_BATTERY
+        : POWER_SOURCE_AUTO;
+    }
+    return merged;
+  });
+}
+
+function applyAttribute(attributes, key, value) {
+  if (value === null || value === undefined || value === "") return;
+  if (BATTERY_VOLTAGE_KEYS.has(key)) {
+    const number = parseNumber(value);
+    if (number !== null && number > 0) {
+      attributes.batteryMillivolts = Math.round(number < MAX_VOLTS ? number * 1000 : number);
+    }
+  } else if (BATTERY_LEVEL_KEYS.has(key)) {
+    const number = parseNumber(value);
+    if (number !== null && number >= 0 && number <= 100) attributes.batteryLevel = Math.round(number);
+  } else if (POWER_SOURCE_KEYS.has(key)) {
+    const powerSource = parsePowerSource(value);
+    if (powerSource) attributes.powerSource = powerSource;
+  } else if (SIGNAL_KEYS.has(key)) {
+    const number = parseNumber(value);
+    if (number !== null && number < 0) attributes.rx = Math.round(number);
+  } else if (FIRMWARE_KEYS.has(key)) {
+    attributes.firmwareVersion = String(value).trim();
+  }
+}
+
+function parsePowerSource(value) {
+  const text = String(value).toLowerCase();
+  // Solar panels charge the motor's battery, so they count as battery power.
+  if (/batt|solar|rechargeable|li-?ion/.test(text)) return POWER_SOURCE_BATTERY;
+  if (/wire|mains|\bac\b|\bdc\b|plug|line|12v|24v/.test(text)) return POWER_SOURCE_HARDWIRED;
+  return null;
+}
+
+function parseNumber(value) {
+  const number = typeof value === "number" ? value : parseFloat(String(value));
+  return Number.isFinite(number) ? number : null;
+}
+
+function normalizeKey(name) {
+  return String(name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+module.exports = {
+  indexShadeAttributes,
+  mergeShadeAttributes,
+};
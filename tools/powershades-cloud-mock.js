@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+"use strict";
+
+// Local stand-in for the PowerShades cloud API so PowerShadesApi and the platform
+// can be exercised offline through the `baseUrl` option.
+
+const crypto = require("crypto");
+const http = require("http");
+
+const DEFAULT_ACCESS_TOKEN_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_REFRESH_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_SHADES = [
+  { id: 101, name: "Kitchen", percentage: 0 },
+  { id: 102, name: "Office", percentage: 100 },
+];
+const DEFAULT_GROUPS = [
+  { id: 201, name: "Downstairs", shades: [101, 102] },
+];
+const DEFAULT_SCENES = [
+  { id: 301, name: "Morning", positions: { 101: 0, 102: 0 } },
+];
+const DEFAULT_GATEWAYS = [
+  { id: 501, name: "Gateway", serial: "00:1e:c0:aa:bb:cc", ip_address: "192.168.1.50" },
+];
+// One record per shade attribute, the shape api-test-scripts/test_powershades_api.js looks for.
+const DEFAULT_SHADE_ATTRIBUTES = [
+  { id: 601, shade: 101, attribute: "PowerSource", value: "Battery" },
+  { id: 602, shade: 101, attribute: "BatteryVoltage", value: "7.9" },
+  { id: 603, shade: 101, attribute: "RSSI", value: "-61" },
+  { id: 604, shade: 101, attribute: "Firmware", value: "2.14" },
+  { id: 605, shade: 102, attribute: "PowerSource", value: "Hardwired" },
+  { id: 606, shade: 102, attribute: "RSSI", value: "-70" },
+];
+const DEFAULT_SCHEDULES = [
+  { id: 401, name: "Close at Night", enabled: true, time: "21:00", days: [0, 1, 2, 3, 4, 5, 6], percentage: 100, shades: [101, 102] },
+];
+
+class PowerShadesCloudMock {
+  constructor({
+    email = "test@example.com",
+    password = "password",
+    apiToken = null,
+    shades = DEFAULT_SHADES,
+    groups = DEFAULT_GROUPS,
+    scenes = DEFAULT_SCENES,
+    schedules = DEFAULT_SCHEDULES,
+    gateways = DEFAULT_GATEWAYS,
+    shadeAttributes = DEFAULT_SHADE_ATTRIBUTES,
+    accessTokenTtlMs = DEFAULT_ACCESS_TOKEN_TTL_MS,
+    refreshTokenTtlMs = DEFAULT_REFRESH_TOKEN_TTL_MS,
+    logger = null,
+    now = Date.now,
+    onShadeMove = null,
+  } = {}) {
+    this.email = email;
+    this.password = password;
+    this.apiToken = apiToken;
+    this.shades = clone(shades);
+    this.groups = clone(groups);
+    this.scenes = clone(scenes);
+    this.schedules = clone(schedules);
+    this.gateways = clone(gateways);
+    this.shadeAttributes = clone(shadeAttributes);
+    this.accessTokenTtlMs = Math.max(Number(accessTokenTtlMs) || DEFAULT_ACCESS_TOKEN_TTL_MS, 1);
+    this.refreshTokenTtlMs = Math.max(Number(refreshTokenTtlMs) || DEFAULT_REFRESH_TOKEN_TTL_MS, 1);
+    this.logger = logger;
+    this.now = now;
+    // Called with (shade, percentage) for every shade a move, group or scene changes,
+    // so tests can relay cloud commands to a simulated gateway.
+    this.onShadeMove = typeof onShadeMove === "function" ? onShadeMove : null;
+    this.accessTokens = new Map();
+    this.refreshTokens = new Map();
+    this.failures = [];
+    this.requests = [];
+    this.server = null;
+    this.sockets = new Set();
+  }
+
+  async start({ host = "127.0.0.1", port = 0 } = {}) {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((err) => {
+        sendJson(res, 500, { detail: err.message });
+      });
+    });
+    this.server.on("connection", (socket) => {
+      this.sockets.add(socket);
+      socket.on("close", () => this.sockets.delete(socket));
+    });
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(Number(port), host, resolve);
+    });
+    const address = this.server.address();
+    return { host, port: address.port, baseUrl: `http://${host}:${address.port}` };
+  }
+
+  async stop() {
+    if (!this.server) return;
+    // Injected timeouts leave requests open, so drop them rather than waiting.
+    for (const socket of this.sockets) socket.destroy();
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+
+  // Fails the next `times` matching requests. `status` answers with that HTTP error;
+  // `timeout` holds the request open until the client gives up; `delayMs` only slows it.
+  injectFailure({ method = null, path = null, status = null, body = null, timeout = false, delayMs = 0, times = 1 } = {}) {
+    this.failures.push({
+      method: method ? method.toUpperCase() : null,
+      path,
+      status,
+      body,
+      timeout,
+      delayMs: Math.max(Number(delayMs) || 0, 0),
+      remaining: Math.max(Number(times) || 1, 1),
+    });
+  }
+
+  clearFailures() {
+    this.failures = [];
+  }
+
+  expireAccessTokens() {
+    this.accessTokens.clear();
+  }
+
+  expireRefreshTokens() {
+    this.refreshTokens.clear();
+  }
+
+  getShade(idOrName) {
+    return this.shades.find((shade) => String(shade.id) === String(idOrName) || shade.name === idOrName) || null;
+  }
+
+  setShadePercentage(shade, percentage) {
+    shade.percentage = percentage;
+    this.onShadeMove?.(shade, percentage);
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, "http://cloud");
+    const path = url.pathname.replace(/^\/api(?=\/)/, "");
+    const body = await readJsonBody(req);
+    this.requests.push({ method: req.method, path, body, authorization: req.headers.authorization || null });
+    this.logger?.debug?.(`[CloudMock] ${req.method} ${path}`);
+
+    const failure = this.takeFailure(req.method, path);
+    if (failure?.timeout) return;
+    if (failure?.delayMs) await delay(failure.delayMs);
+    if (failure?.status) {
+      sendJson(res, failure.status, failure.body || { detail: `Injected ${failure.status} error` });
+      return;
+    }
+
+    if (req.method === "POST" && path === "/auth/jwt/") {
+      this.handleLogin(res, body);
+      return;
+    }
+    if (req.method === "POST" && path === "/auth/jwt/refresh/") {
+      this.handleRefresh(res, body);
+      return;
+    }
+    if (!this.isAuthorized(req.headers.authorization)) {
+      sendJson(res, 401, { detail: "Given token not valid for any token type", code: "token_not_valid" });
+      return;
+    }
+
+    const route = this.route(req.method, path, body);
+    if (!route) {
+      sendJson(res, 404, { detail: "Not found." });
+      return;
+    }
+    sendJson(res, route.status || 200, route.body);
+  }
+
+  route(method, path, body) {
+    if (method === "GET" && path === "/shades/") return { body: paginate(this.shades) };
+    if (method === "GET" && path === "/groups/") return { body: paginate(this.groups) };
+    if (method === "GET" && path === "/scenes/") return { body: paginate(this.scenes) };
+    if (method === "GET" && path === "/shadeattributes/") return { body: paginate(this.shadeAttributes) };
+    if (method === "GET" && path === "/schedules/") return { body: paginate(this.schedules) };
+    if (method === "GET" && path === "/gateways/") return { body: paginate(this.gateways) };
+
+    if (method === "POST" && path === "/shades/move/") {
+      const shade = this.getShade(body?.shade_name);
+      if (!shade) return { status: 404, body: { detail: `Shade "${body?.shade_name}" not found.` } };
+      const percentage = parsePercentage(body?.percentage);
+      if (percentage === null) return { status: 400, body: { percentage: ["A valid integer between 0 and 100 is required."] } };
+      this.setShadePercentage(shade, percentage);
+      return { body: { detail: "Move command sent.", shade: shade.id, percentage } };
+    }
+
+    const groupMove = /^\/groups\/([^/]+)\/move\/$/.exec(path);
+    if (method === "POST" && groupMove) {
+      const group = this.groups.find((candidate) => String(candidate.id) === groupMove[1]);
+      if (!group) return { status: 404, body: { detail: "Not found." } };
+      const percentage = parsePercentage(body?.percentage);
+      if (percentage === null) return { status: 400, body: { percentage: ["A valid integer between 0 and 100 is required."] } };
+      for (const shadeId of group.shades || []) {
+        const shade = this.getShade(shadeId);
+        if (shade) this.setShadePercentage(shade, percentage);
+      }
+      return { body: { detail: "Move command sent.", group: group.id, percentage } };
+    }
+
+    const sceneActivate = /^\/scenes\/([^/]+)\/activate\/$/.exec(path);
+    if (method === "POST" && sceneActivate) {
+      const scene = this.scenes.find((candidate) => String(candidate.id) === sceneActivate[1]);
+      if (!scene) return { status: 404, body: { detail: "Not found." } };
+      for (const [shadeId, percentage] of Object.entries(scene.positions || {})) {
+        const shade = this.getShade(shadeId);
+        if (shade) this.setShadePercentage(shade, percentage);
+      }
+      return { body: { detail: "Scene activated.", scene: scene.id } };
+    }
+
+    const scheduleUpdate = /^\/schedules\/([^/]+)\/$/.exec(path);
+    if ((method === "PATCH" || method === "PUT") && scheduleUpdate) {
+      const schedule = this.schedules.find((candidate) => String(candidate.id) === scheduleUpdate[1]);
+      if (!schedule) return { status: 404, body: { detail: "Not found." } };
+      if (body?.enabled !== undefined && typeof body.enabled !== "boolean") {
+        return { status: 400, body: { enabled: ["Must be a valid boolean."] } };
+      }
+      Object.assign(schedule, body || {}, { id: schedule.id });
+      return { body: schedule };
+    }
+
+    return null;
+  }
+
+  handleLogin(res, body) {
+    if (body?.email !== this.email || body?.password !== this.password) {
+      sendJson(res, 401, { detail: "No active account found with the given credentials" });
+      return;
+    }
+    const refresh = this.issueToken(this.refreshTokens, this.refreshTokenTtlMs);
+    sendJson(res, 200, { access: this.issueToken(this.accessTokens, this.accessTokenTtlMs), refresh });
+  }
+
+  handleRefresh(res, body) {
+    if (!this.isTokenValid(this.refreshTokens, body?.refresh)) {
+      sendJson(res, 401, { detail: "Token is invalid or expired", code: "token_not_valid" });
+      return;
+    }
+    sendJson(res, 200, { access: this.issueToken(this.accessTokens, this.accessTokenTtlMs) });
+  }
+
+  isAuthorized(header) {
+    const token = /^Bearer (.+)$/.exec(header || "")?.[1];
+    if (!token) return false;
+    if (this.apiToken && token === this.apiToken) return true;
+    return this.isTokenValid(this.accessTokens, token);
+  }
+
+  issueToken(store, ttlMs) {
+    const token = crypto.randomBytes(16).toString("hex");
+    store.set(token, this.now() + ttlMs);
+    return token;
+  }
+
+  isTokenValid(store, token) {
+    const expiresAt = store.get(token);
+    if (!expiresAt) return false;
+    if (this.now() >= expiresAt) {
+      store.delete(token);
+      return false;
+    }
+    return true;
+  }
+
+  takeFailure(method, path) {
+    const index = this.failures.findIndex((failure) => (
+      (!failure.method || failure.method === method) &&
+      (!failure.path || (failure.path instanceof RegExp ? failure.path.test(path) : failure.path === path))
+    ));
+    if (index === -1) return null;
+    const failure = this.failures[index];
+    failure.remaining -= 1;
+    if (failure.remaining <= 0) this.failures.splice(index, 1);
+    return failure;
+  }
+}
+
+function paginate(results) {
+  return { count: results.length, next: null, previous: null, results };
+}
+
+function parsePercentage(value) {
+  const number = Number(value);
+  if (value === null || value === undefined || value === "" || !Number.isInteger(number)) return null;
+  if (number < 0 || number > 100) return null;
+  return number;
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      if (!raw) {
+        resolve(null);
+        return;
+      }
+      try {
+        resolve(JSON.parse(raw));
+      } catch {
+        resolve(null);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  if (res.headersSent) return;
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+    if (!arg.startsWith("--")) throw new Error(`Unexpected argument: ${arg}`);
+    const [rawKey, rawValue] = arg.slice(2).split("=", 2);
+    const key = rawKey.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    const value = rawValue === undefined ? argv[++i] : rawValue;
+    if (value === undefined) throw new Error(`Missing value for --${rawKey}`);
+    options[key] = value;
+  }
+  return options;
+}
+
+function printUsage(exitCode) {
+  const out = exitCode === 0 ? console.log : console.error;
+  out(`Usage:
+  node tools/powershades-cloud-mock.js --port 8081 --email test@example.com --password password
+
+Options:
+  --host ADDRESS            Address to listen on. Defaults to 127.0.0.1.
+  --port N                  HTTP port. Defaults to 8081.
+  --email ADDRESS           Account email accepted by /auth/jwt/.
+  --password VALUE          Account password accepted by /auth/jwt/.
+  --api-token VALUE         Static API token accepted as a bearer token.
+  --access-token-ttl-ms N   Access token lifetime. Defaults to ${DEFAULT_ACCESS_TOKEN_TTL_MS}.`);
+  process.exitCode = exitCode;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    printUsage(0);
+    return;
+  }
+
+  const mock = new PowerShadesCloudMock({
+    email: options.email,
+    password: options.password,
+    apiToken: options.apiToken,
+    accessTokenTtlMs: options.accessTokenTtlMs,
+    logger: console,
+  });
+  const address = await mock.start({ host: options.host || "127.0.0.1", port: options.port || 8081 });
+  console.log(`Mock PowerShades cloud listening on ${address.baseUrl}`);
+
+  const shutdown = () => {
+    mock.stop().finally(() => process.exit(0));
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message || err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  PowerShadesCloudMock,
+  parseArgs,
+};
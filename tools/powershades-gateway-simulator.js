@@ -0,0 +1,405 @@
+#!/usr/bin/env node
+"use strict";
+
+// Stand-in PowerShades RF Gateway V2 for development and end-to-end tests.
+// Answers Config.NET UDP packets and the gateway's ajax.shtml status variables.
+
+const dgram = require("dgram");
+const http = require("http");
+const { DEFAULT_UDP_PORT, parsePacket } = require("../local-udp-protocol");
+
+const CHANNEL_COUNT = 30;
+const DEFAULT_TRAVEL_TIME_MS = 15000;
+const DEFAULT_FAVORITE_PERCENT = 50;
+const DEBUG_LOG_LINES = 50;
+const WEB_COMMANDS = ["pair", "link", "p2", "up", "down", "stop"];
+// RF payloads copied from the RF-PROTOCOL.md captures. Byte 4 is not the percent and is not
+// decoded, so targets without a capture reuse the Example 1 payload rather than a guess.
+const CAPTURED_TXP_PAYLOADS = {
+  100: "02 04 40 00 00 00 00 00",
+  50: "02 04 40 32 00 00 00 00",
+};
+
+class PowerShadesGatewaySimulator {
+  constructor({
+    channels = [],
+    travelTimeMs = DEFAULT_TRAVEL_TIME_MS,
+    version = "226",
+    rssi = -52,
+    logger = null,
+    now = Date.now,
+  } = {}) {
+    this.travelTimeMs = Math.max(Number(travelTimeMs) || 0, 0);
+    this.version = String(version);
+    this.rssi = Number(rssi);
+    this.logger = logger;
+    this.now = now;
+    this.channels = createChannels(channels, this.travelTimeMs);
+    this.debugLines = [];
+    this.transmitCount = 0;
+    this.udpSocket = null;
+    this.httpServer = null;
+  }
+
+  async start({ host = "127.0.0.1", udpPort = DEFAULT_UDP_PORT, httpPort = 80 } = {}) {
+    this.udpSocket = dgram.createSocket("udp4");
+    this.udpSocket.on("message", (message, rinfo) => {
+      const echo = this.handlePacket(message);
+      if (echo) this.udpSocket.send(echo, rinfo.port, rinfo.address);
+    });
+    await new Promise((resolve, reject) => {
+      this.udpSocket.once("error", reject);
+      this.udpSocket.bind(Number(udpPort), host, resolve);
+    });
+
+    this.httpServer = http.createServer((req, res) => this.handleHttpRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.httpServer.once("error", reject);
+      this.httpServer.listen(Number(httpPort), host, resolve);
+    });
+
+    return {
+      host,
+      udpPort: this.udpSocket.address().port,
+      httpPort: this.httpServer.address().port,
+    };
+  }
+
+  async stop() {
+    if (this.udpSocket) {
+      await new Promise((resolve) => this.udpSocket.close(resolve));
+      this.udpSocket = null;
+    }
+    if (this.httpServer) {
+      await new Promise((resolve) => this.httpServer.close(resolve));
+      this.httpServer = null;
+    }
+  }
+
+  handlePacket(packet) {
+    let parsed;
+    try {
+      parsed = parsePacket(packet);
+    } catch (err) {
+      // The real gateway ignores malformed packets, so no echo is sent.
+      this.log(`Ignoring packet: ${err.message}`);
+      return null;
+    }
+
+    const channel = this.channels[parsed.channel - 1];
+    if (!channel) {
+      this.log(`Ignoring packet for channel ${parsed.channel}`);
+      return null;
+    }
+
+    switch (parsed.commandName) {
+      case "set-position":
+        this.moveChannel(channel, parsed.payload.percent);
+        break;
+      case "up":
+        this.moveChannel(channel, 0);
+        break;
+      case "down":
+        this.moveChannel(channel, 100);
+        break;
+      case "stop":
+        this.stopChannel(channel);
+        break;
+      case "p2":
+        this.moveChannel(channel, channel.favoritePercent);
+        break;
+      case "link-feedback":
+        channel.feedback = true;
+        channel.rfDeviceId ||= defaultRfDeviceId(channel.channel);
+        break;
+      case "rename-channel":
+        channel.name = parsed.payload.name;
+        break;
+      default:
+        this.log(`Echoing unknown command 0x${parsed.command.toString(16)} on channel ${parsed.channel}`);
+    }
+    return Buffer.from(packet);
+  }
+
+  // Simulates a move that reaches the gateway from the cloud, a schedule or the PowerShades app.
+  simulateRemoteMove(channelNumber, percent) {
+    const channel = this.channels[Number(channelNumber) - 1];
+    if (!channel) throw new Error(`Unknown channel ${channelNumber}`);
+    this.debug(`SRV SetPos [${channel.channel}]`);
+    this.moveChannel(channel, percent);
+  }
+
+  moveChannel(channel, percent) {
+    const target = Math.max(0, Math.min(100, Math.round(Number(percent))));
+    const from = this.currentPercent(channel);
+    channel.from = from;
+    channel.target = target;
+    channel.moveStartedAt = this.now();
+
+    const mask = (1 << (channel.channel - 1)) >>> 0;
+    const mask32 = mask.toString(16).toUpperCase().padStart(8, "0");
+    this.debug(`SCH ExeNextAct 1-WAY: ACTMASK[${mask32}] BANK[1] CH[${mask32}] PCT ${target}`);
+    this.transmitCount += 1;
+    this.debug(
+      `W433 TXP[${this.transmitCount}] 12 C1 0027003C:0027003C ${mask.toString(16).toUpperCase().padStart(4, "0")} ` +
+      `{${CAPTURED_TXP_PAYLOADS[target] || CAPTURED_TXP_PAYLOADS[100]}}`
+    );
+  }
+
+  stopChannel(channel) {
+    const current = this.currentPercent(channel);
+    channel.from = current;
+    channel.target = current;
+    channel.moveStartedAt = this.now();
+  }
+
+  currentPercent(channel) {
+    if (channel.from === channel.target || !channel.travelTimeMs) return channel.target;
+    const durationMs = (Math.abs(channel.target - channel.from) / 100) * channel.travelTimeMs;
+    const progress = Math.min((this.now() - channel.moveStartedAt) / durationMs, 1);
+    return Math.round(channel.from + ((channel.target - channel.from) * progress));
+  }
+
+  getChannel(channelNumber) {
+    const channel = this.channels[Number(channelNumber) - 1];
+    if (!channel) return null;
+    return {
+      channel: channel.channel,
+      name: channel.name,
+      percent: this.currentPercent(channel),
+      target: channel.target,
+      feedback: channel.feedback,
+      paired: channel.paired,
+      batteryMillivolts: channel.batteryMillivolts,
+      rx: channel.rx,
+      rfDeviceId: channel.rfDeviceId,
+    };
+  }
+
+  readVariable(name) {
+    switch (name) {
+      case "percent":
+        return this.channels.map((channel) => (channel.feedback ? this.currentPercent(channel) : -1)).join(":");
+      case "battery":
+        return this.channels.map((channel) => (channel.feedback ? channel.batteryMillivolts : 0)).join(":");
+      case "rx":
+        return this.channels.map((channel) => (channel.feedback ? channel.rx : 0)).join(":");
+      case "rfdevs":
+        return this.channels.map((channel) => (channel.feedback ? channel.rfDeviceId : "0")).join(":");
+      case "chnames1":
+      case "chnames2":
+      case "chnames3": {
+        const start = (Number(name.slice(-1)) - 1) * 10;
+        return this.channels.slice(start, start + 10).map((channel) => channel.name).join(":");
+      }
+      case "version":
+        return this.version;
+      case "curfwpg":
+        return "2";
+      case "netsts":
+        return "Connected";
+      case "rfsts":
+        return "OK";
+      case "rssi":
+        return String(this.rssi);
+      case "dbg_out":
+        return this.debugLines.join("\n");
+      default:
+        return "";
+    }
+  }
+
+  handleHttpRequest(req, res) {
+    const url = new URL(req.url, "http://gateway");
+    if (req.method !== "GET" || url.pathname !== "/ajax.shtml") {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end("Not Found");
+      return;
+    }
+
+    const webCommand = WEB_COMMANDS.find((name) => url.searchParams.has(name));
+    if (webCommand) {
+      const channel = this.channels[Number(url.searchParams.get(webCommand)) - 1];
+      if (!channel) {
+        res.writeHead(400, { "Content-Type": "text/plain" });
+        res.end("Bad Channel");
+        return;
+      }
+      this.handleWebCommand(webCommand, channel);
+      res.writeHead(200, { "Content-Type": "text/plain" });
+      res.end("OK");
+      return;
+    }
+
+    if (!url.searchParams.has("var")) {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end("Not Found");
+      return;
+    }
+
+    const values = url.searchParams.get("var").split(",").map((name) => this.readVariable(name.trim()));
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    res.end(JSON.stringify(values));
+  }
+
+  // The gateway web page drives channels with ajax.shtml?<command>=<channel>.
+  handleWebCommand(command, channel) {
+    switch (command) {
+      case "pair":
+        // Pairing teaches the motor the channel's address; feedback still needs link.
+        channel.paired = true;
+        this.debug(`W433 PAIR CH[${channel.channel}]`);
+        break;
+      case "link":
+        channel.feedback = true;
+        channel.rfDeviceId ||= defaultRfDeviceId(channel.channel);
+        break;
+      case "up":
+        this.moveChannel(channel, 0);
+        break;
+      case "down":
+        this.moveChannel(channel, 100);
+        break;
+      case "stop":
+        this.stopChannel(channel);
+        break;
+      case "p2":
+        this.moveChannel(channel, channel.favoritePercent);
+        break;
+      default:
+        break;
+    }
+  }
+
+  debug(message) {
+    this.debugLines.push(`${formatClock(this.now())} ${message}`);
+    if (this.debugLines.length > DEBUG_LOG_LINES) {
+      this.debugLines.splice(0, this.debugLines.length - DEBUG_LOG_LINES);
+    }
+  }
+
+  log(message) {
+    this.logger?.info?.(`[Simulator] ${message}`);
+  }
+}
+
+function createChannels(configured, travelTimeMs) {
+  const byChannel = new Map((Array.isArray(configured) ? configured : [])
+    .filter((channel) => channel && channel.channel)
+    .map((channel) => [Number(channel.channel), channel]));
+  const channels = [];
+  for (let index = 0; index < CHANNEL_COUNT; index += 1) {
+    const number = index + 1;
+    const config = byChannel.get(number) || {};
+    const percent = clampPercent(config.percent ?? 0);
+    channels.push({
+      channel: number,
+      name: config.name || `Channel ${number}`,
+      feedback: config.feedback !== undefined ? Boolean(config.feedback) : byChannel.has(number),
+      paired: byChannel.has(number),
+      batteryMillivolts: Number(config.batteryMillivolts) || 12280,
+      rx: Number(config.rx) || -60,
+      rfDeviceId: config.rfDeviceId || defaultRfDeviceId(number),
+      favoritePercent: clampPercent(config.favoritePercent ?? DEFAULT_FAVORITE_PERCENT),
+      travelTimeMs: config.travelTimeMs !== undefined ? Math.max(Number(config.travelTimeMs) || 0, 0) : travelTimeMs,
+      from: percent,
+      target: percent,
+      moveStartedAt: 0,
+    });
+  }
+  return channels;
+}
+
+function defaultRfDeviceId(channel) {
+  return `5e${channel.toString(16).padStart(4, "0")}`;
+}
+
+function clampPercent(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.max(0, Math.min(100, Math.round(number))) : 0;
+}
+
+function formatClock(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+    if (!arg.startsWith("--")) throw new Error(`Unexpected argument: ${arg}`);
+    const [rawKey, rawValue] = arg.slice(2).split("=", 2);
+    const key = rawKey.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    const value = rawValue === undefined ? argv[++i] : rawValue;
+    if (value === undefined) throw new Error(`Missing value for --${rawKey}`);
+    options[key] = value;
+  }
+  return options;
+}
+
+function channelsFromOptions(options) {
+  // --channels "1=Kitchen,2=Office" exposes those channels with RF feedback.
+  if (!options.channels) return [{ channel: 1, name: "Simulated Shade" }];
+  return String(options.channels).split(",").map((entry) => {
+    const [channel, name] = entry.split("=", 2);
+    return { channel: Number(channel.trim()), ...(name ? { name: name.trim() } : {}) };
+  });
+}
+
+function printUsage(exitCode) {
+  const out = exitCode === 0 ? console.log : console.error;
+  out(`Usage:
+  node tools/powershades-gateway-simulator.js --udp-port 4242 --http-port 8080 --channels "1=Kitchen,2=Office"
+
+Options:
+  --host ADDRESS        Address to listen on. Defaults to 127.0.0.1.
+  --udp-port N          UDP port for Config.NET packets. Defaults to ${DEFAULT_UDP_PORT}.
+  --http-port N         HTTP port for ajax.shtml status requests. Defaults to 80.
+  --channels LIST       Comma-separated channel=name pairs with RF feedback.
+  --travel-time-ms N    Full travel time for simulated shades. Defaults to ${DEFAULT_TRAVEL_TIME_MS}.`);
+  process.exitCode = exitCode;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    printUsage(0);
+    return;
+  }
+
+  const simulator = new PowerShadesGatewaySimulator({
+    channels: channelsFromOptions(options),
+    travelTimeMs: options.travelTimeMs,
+    logger: console,
+  });
+  const address = await simulator.start({
+    host: options.host || "127.0.0.1",
+    udpPort: options.udpPort || DEFAULT_UDP_PORT,
+    httpPort: options.httpPort || 80,
+  });
+  console.log(`Simulated gateway listening on ${address.host} (UDP ${address.udpPort}, HTTP ${address.httpPort})`);
+
+  const shutdown = () => {
+    simulator.stop().finally(() => process.exit(0));
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message || err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  PowerShadesGatewaySimulator,
+  parseArgs,
+};
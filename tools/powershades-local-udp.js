@@ -1,14 +1,22 @@
 #!/usr/bin/env node
 "use strict";
 
+const fs = require("fs");
 const http = require("http");
+const { PowerShadesApi } = require("../api");
+const { correlateChannels } = require("../channel-correlation");
+const { exportChannelMap, mergeChannelMap, parseChannelMap } = require("../channel-map");
 const { LocalPowerShadesApi } = require("../local-api");
+const { scanForGateways } = require("../local-discovery");
 const {
   DEFAULT_UDP_PORT,
   buildCommandPacket,
   buildRenameChannelPacket,
   buildSetPositionPacket,
+  describeAckProblem,
+  describePacket,
   packetToHex,
+  parsePacket,
   sendUdpPacket,
 } = require("../local-udp-protocol");
 
@@ -25,6 +33,11 @@ const COMMAND_ALIASES = new Map([
   ["link", "link-feedback"],
   ["link-feedback", "link-feedback"],
   ["discover", "discover"],
+  ["scan", "scan"],
+  ["export-map", "export-map"],
+  ["import-map", "import-map"],
+  ["correlate", "correlate"],
+  ["decode", "decode"],
   ["status", "status"],
 ]);
 
@@ -41,12 +54,53 @@ async function main(argv = process.argv.slice(2)) {
     return;
   }
 
+  if (command === "decode") {
+    const packet = Buffer.from(requireOption(options, "hex").replace(/[^0-9a-f]/gi, ""), "hex");
+    printResult(decodePacket(packet), options);
+    return;
+  }
+
   if (command === "discover") {
     const discovery = await discoverGateway(options);
     printResult(discovery, { ...options, json: true });
     return;
   }
 
+  if (command === "scan") {
+    const gateways = await scanForGateways({
+      subnets: splitList(options.subnet),
+      hosts: splitList(options.hosts),
+      httpPort: options.httpPort,
+      timeoutMs: options.timeoutMs,
+    });
+    printResult({
+      gateways,
+      suggestedConfig: {
+        localGateways: gateways.map((gateway) => ({
+          host: gateway.host,
+          ...(gateway.httpPort ? { httpPort: gateway.httpPort } : {}),
+        })),
+      },
+    }, { ...options, json: true });
+    return;
+  }
+
+  if (command === "export-map") {
+    await exportMap(options);
+    return;
+  }
+
+  if (command === "import-map") {
+    importMap(options);
+    return;
+  }
+
+  if (command === "correlate") {
+    const result = await correlateCloudShades(options);
+    printResult(result, { ...options, json: true });
+    return;
+  }
+
   const packet = buildPacket(command, options);
   const summary = {
     command,
@@ -54,6 +108,7 @@ async function main(argv = process.argv.slice(2)) {
     port: Number(options.port || DEFAULT_UDP_PORT),
     localPort: options.localPort === undefined ? null : Number(options.localPort),
     packetHex: packetToHex(packet),
+    packetDecoded: describePacket(parsePacket(packet)),
   };
 
   if (options.dryRun) {
@@ -70,14 +125,34 @@ async function main(argv = process.argv.slice(2)) {
     waitForResponse: options.waitForResponse,
   });
 
+  const ackProblem = options.waitForResponse ? describeAckProblem(packet, result.response) : null;
   printResult({
     ...summary,
     responseHex: result.response ? packetToHex(result.response) : null,
+    responseDecoded: result.response ? decodePacket(result.response).decoded : null,
     responseFrom: result.rinfo ? `${result.rinfo.address}:${result.rinfo.port}` : null,
+    acknowledged: options.waitForResponse ? !ackProblem : null,
+    ...(ackProblem ? { ackProblem } : {}),
     timedOut: Boolean(result.timedOut),
   }, options);
 }
 
+function decodePacket(packet) {
+  try {
+    const parsed = parsePacket(packet);
+    return {
+      decoded: describePacket(parsed),
+      commandName: parsed.commandName,
+      command: parsed.command,
+      sequence: parsed.sequence,
+      channel: parsed.channel,
+      payloadHex: parsed.payloadHex,
+    };
+  } catch (err) {
+    return { decoded: `invalid packet: ${err.message}` };
+  }
+}
+
 function buildPacket(command, options) {
   if (command === "set-position") {
     return buildSetPositionPacket({
@@ -120,6 +195,18 @@ function parseArgs(argv) {
       options.json = true;
       continue;
     }
+    if (arg === "--no-restore") {
+      options.restore = false;
+      continue;
+    }
+    if (arg === "--write") {
+      options.write = true;
+      continue;
+    }
+    if (arg === "--replace-ids") {
+      options.replaceIds = true;
+      continue;
+    }
     if (arg === "--no-wait") {
       options.waitForResponse = false;
       continue;
@@ -162,7 +249,7 @@ async function readGatewayStatus(options) {
   const variables = ["percent", "battery", "rx", "rfdevs", "chnames1", "chnames2", "chnames3"];
   const values = {};
   for (const variable of variables) {
-    values[variable] = await requestGatewayVariable(host, variable, options.timeoutMs);
+    values[variable] = await requestGatewayVariable(host, variable, options.timeoutMs, options.httpPort);
   }
   return values;
 }
@@ -173,6 +260,7 @@ async function discoverGateway(options) {
     gateways: [{
       host,
       serial: options.serial,
+      httpPort: options.httpPort,
       includeChannels: splitChannelList(options.includeChannels),
       excludeChannels: splitChannelList(options.excludeChannels),
     }],
@@ -206,10 +294,108 @@ async function discoverGateway(options) {
   };
 }
 
-function requestGatewayVariable(host, variable, timeoutMs = 2500) {
+async function correlateCloudShades(options) {
+  const email = options.email || process.env.POWERSHADES_EMAIL;
+  const password = options.password || process.env.POWERSHADES_PASSWORD;
+  const apiToken = options.apiToken || process.env.POWERSHADES_API_TOKEN;
+  if (!apiToken && (!email || !password)) {
+    throw new Error("Cloud credentials are required: --email and --password, or --api-token");
+  }
+  const quietLogger = {
+    info: () => {},
+    warn: (message) => console.error(message),
+    error: (message) => console.error(message),
+    debug: () => {},
+  };
+  const cloudApi = new PowerShadesApi({
+    email,
+    password,
+    apiToken,
+    baseUrl: options.baseUrl || process.env.POWERSHADES_BASE_URL || undefined,
+    logger: quietLogger,
+  });
+
+  return correlateChannels({
+    cloudApi,
+    gateways: splitList(requireHost(options)).map((host) => ({
+      host,
+      ...(options.httpPort ? { httpPort: Number(options.httpPort) } : {}),
+    })),
+    shadeNames: splitList(options.shades),
+    pollIntervalMs: options.pollIntervalMs,
+    matchTimeoutMs: options.matchTimeoutMs,
+    requestTimeoutMs: options.timeoutMs,
+    restore: options.restore !== false,
+    logger: { ...quietLogger, info: (message) => console.error(message) },
+  });
+}
+
+async function exportMap(options) {
+  let localGateways;
+  if (options.config) {
+    localGateways = readPlatformConfig(options.config).platform.localGateways || [];
+  } else {
+    const discovery = await discoverGateway(options);
+    localGateways = [{
+      ...discovery.suggestedConfig,
+      shades: discovery.channels.map((channel) => ({
+        channel: channel.channel,
+        name: channel.name,
+        rfDeviceId: channel.rfDeviceId,
+      })),
+    }];
+  }
+
+  const text = exportChannelMap(localGateways, options.format || "markdown");
+  if (options.output) {
+    fs.writeFileSync(options.output, text);
+    console.log(`Wrote ${options.output}`);
+    return;
+  }
+  process.stdout.write(text);
+}
+
+function importMap(options) {
+  const file = requireOption(options, "file");
+  const mapGateways = parseChannelMap(fs.readFileSync(file, "utf8"), options.format || formatFromPath(file));
+  const target = options.config ? readPlatformConfig(options.config) : null;
+  const localGateways = mergeChannelMap(target?.platform.localGateways || [], mapGateways, {
+    replaceIds: options.replaceIds === true,
+  });
+
+  if (options.write) {
+    if (!target) throw new Error("--write needs --config");
+    target.platform.localGateways = localGateways;
+    fs.writeFileSync(options.config, `${JSON.stringify(target.document, null, 4)}\n`);
+    console.log(`Updated localGateways in ${options.config}`);
+    return;
+  }
+  printResult({ localGateways }, { ...options, json: true });
+}
+
+// Accepts a Homebridge config.json or a file holding just the PowerShades platform block.
+function readPlatformConfig(path) {
+  const document = JSON.parse(fs.readFileSync(path, "utf8"));
+  if (!Array.isArray(document.platforms)) {
+    return { document, platform: document };
+  }
+  const platform = document.platforms.find((entry) => entry?.platform === "PowerShades");
+  if (!platform) throw new Error(`No PowerShades platform found in ${path}`);
+  return { document, platform };
+}
+
+function formatFromPath(path) {
+  const extension = String(path).toLowerCase().split(".").pop();
+  if (extension === "md" || extension === "markdown") return "markdown";
+  if (extension === "csv" || extension === "json") return extension;
+  return undefined;
+}
+
+function requestGatewayVariable(host, variable, timeoutMs = 2500, port = undefined) {
   return new Promise((resolve, reject) => {
     const req = http.request({
       host,
+      port: Number(port) || undefined,
       path: `/ajax.shtml?var=${encodeURIComponent(variable)}`,
       method: "GET",
       timeout: Number(timeoutMs) || 2500,
@@ -253,21 +439,46 @@ function splitChannelList(value) {
   return String(value).split(",").map((item) => Number(item.trim())).filter(Number.isInteger);
 }
 
+function splitList(value) {
+  if (!value) return [];
+  return String(value).split(",").map((item) => item.trim()).filter(Boolean);
+}
+
 function printUsage(exitCode) {
   const out = exitCode === 0 ? console.log : console.error;
   out(`Usage:
   node tools/powershades-local-udp.js status --host 192.168.1.50
+  node tools/powershades-local-udp.js scan [--subnet 192.168.1.0/24]
   node tools/powershades-local-udp.js discover --host 192.168.1.50
   node tools/powershades-local-udp.js set-position --host 192.168.1.50 --channel 15 --percent 50
   node tools/powershades-local-udp.js up|down|stop|p2|link-feedback --host 192.168.1.50 --channel 15
   node tools/powershades-local-udp.js rename-channel --host 192.168.1.50 --channel 15 --name "Bedroom Window"
+  node tools/powershades-local-udp.js export-map --config ~/.homebridge/config.json [--format markdown|csv|json]
+  node tools/powershades-local-udp.js export-map --host 192.168.1.50 --output channels.md
+  node tools/powershades-local-udp.js import-map --file channels.md --config ~/.homebridge/config.json [--write] [--replace-ids]
+  node tools/powershades-local-udp.js correlate --host 192.168.1.50[,192.168.1.51] --email you@example.com --password ...
+  node tools/powershades-local-udp.js decode --hex "0a 00 51 96 1a 66 0f 00 01 00 32 00 00 00 00 00 00 00"
 
 Options:
   --dry-run             Build and print the packet without sending it.
   --sequence N          Use an explicit sequence byte, 0-255.
   --port N              Gateway UDP port. Defaults to 42.
   --local-port N        Bind a local source UDP port before sending.
+  --http-port N         Gateway HTTP port for status reads. Defaults to 80.
+  --subnet CIDR[,CIDR]  Subnets to scan. Defaults to each local IPv4 interface's /24.
+  --hosts A[,B]         Probe only these addresses when scanning.
   --timeout-ms N        Response/status timeout in milliseconds.
+  --config PATH         Homebridge config.json to read or update channel maps in.
+  --file PATH           Channel map to import.
+  --format NAME         Channel map format: markdown, csv or json.
+  --output PATH         Write the exported channel map to a file.
+  --write               Save an imported channel map into --config.
+  --replace-ids         Let an imported map change the ids of configured shades (replaces their accessories).
+  --email, --password   PowerShades account for correlate. Defaults to POWERSHADES_EMAIL/POWERSHADES_PASSWORD.
+  --api-token TOKEN     Legacy API token for correlate instead of email and password.
+  --shades A[,B]        Correlate only these cloud shades.
+  --match-timeout-ms N  How long to wait for each shade's move in the debug log. Defaults to 20000.
+  --no-restore          Leave shades at their correlation targets instead of moving them back.
   --no-wait             Do not wait for a UDP response.
   --json                Print JSON output.`);
   process.exitCode = exitCode;
@@ -282,5 +493,6 @@ if (require.main === module) {
 
 module.exports = {
   buildPacket,
+  decodePacket,
   parseArgs,
 };